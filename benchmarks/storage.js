@@ -0,0 +1,116 @@
+const { join } = require('path');
+
+const Phrase = require('../models/Phrase');
+const { createStorage } = require('../storage');
+const { loadDocuments } = require('../utils');
+
+const DefaultDataset = require('../training/datasets/Default');
+
+const ROOT = join(__dirname, '..');
+const NGRAM_ORDER = 4;
+const LOOKUPS = 200000;
+
+// Trie storage benchmark. Compares the memory, build
+// time and lookup speed of each storage backend on
+// the default dataset. Run with `npm run benchmark`
+// (memory is only measured with `--expose-gc`).
+
+// (typed arrays are stored outside the heap)
+
+const collectGarbage = () => {
+  global.gc?.();
+
+  const { heapUsed, arrayBuffers } = process.memoryUsage();
+
+  return heapUsed + arrayBuffers;
+};
+
+const toMegabytes = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const benchmark = async () => {
+  if (!global.gc) {
+    console.log('Run with `node --expose-gc` to measure memory.');
+  }
+
+  // tokenize the dataset once, the same way
+  // the phrase model does
+
+  const phraseModel = Phrase({ silent: true });
+
+  const documents = await loadDocuments(DefaultDataset.files, { root: ROOT });
+
+  const sequences = documents
+    .flatMap(({ text }) => phraseModel.toSequences(text))
+    .map(sequence => phraseModel.encode(sequence));
+
+  const tokenCount = sequences.reduce((total, { length }) => total + length, 0);
+
+  // look up n-grams that were seen, from every
+  // order (in a fixed order)
+
+  const ngrams = [];
+
+  for (let index = 0; ngrams.length < LOOKUPS; index++) {
+    const sequence = sequences[(index * 7919) % sequences.length];
+    const start = index % Math.max(1, sequence.length);
+    const length = 1 + (index % (NGRAM_ORDER - 1));
+
+    if (sequence.length) ngrams.push(sequence.slice(start, start + length));
+  }
+
+  console.log(
+    `${DefaultDataset.files.length} documents, ${sequences.length} sequences, ${tokenCount} tokens (n-gram order ${NGRAM_ORDER})`
+  );
+
+  // (each backend is measured in its own call, so
+  // the previous trie can be garbage collected)
+
+  const measure = type => {
+    const memoryBefore = collectGarbage();
+
+    let startTime = Date.now();
+
+    const trie = createStorage(type);
+
+    for (const sequence of sequences) {
+      trie.insert(sequence, NGRAM_ORDER);
+    }
+
+    const buildTime = Date.now() - startTime;
+    const memory = collectGarbage() - memoryBefore;
+
+    startTime = Date.now();
+
+    let found = 0;
+
+    for (const ngram of ngrams) {
+      const node = trie.lookup(ngram);
+
+      if (node !== undefined) found += trie.count(node);
+    }
+
+    const lookupTime = Date.now() - startTime;
+
+    startTime = Date.now();
+
+    JSON.stringify(trie.encode());
+
+    const encodeTime = Date.now() - startTime;
+
+    return {
+      storage: type,
+      nodes: trie.size(),
+      memory: global.gc ? toMegabytes(memory) : 'n/a',
+      build: `${buildTime} ms`,
+      lookups: `${Math.round(LOOKUPS / Math.max(1, lookupTime))}/ms`,
+      encode: `${encodeTime} ms`,
+      found
+    };
+  };
+
+  const results = ['object', 'compact'].map(measure);
+
+  console.table(results);
+};
+
+benchmark();
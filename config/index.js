@@ -0,0 +1,103 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Configuration options by name, with the
+// environment variable each falls back to
+
+const ENVIRONMENT_VARIABLES = {
+  parameterChunkSize: 'PARAMETER_CHUNK_SIZE',
+  rankingBatchSize: 'RANKING_BATCH_SIZE',
+  maxResponseLength: 'MAX_RESPONSE_LENGTH',
+  ngramOrder: 'NGRAM_ORDER'
+};
+
+// Options that can also be overridden per call
+// (the others apply to how the model is trained)
+
+const CALL_OPTIONS = [
+  'rankingBatchSize',
+  'maxResponseLength'
+];
+
+const DEFAULT_CONFIG = {
+  parameterChunkSize: 50000,
+  rankingBatchSize: 50,
+  maxResponseLength: 240,
+  ngramOrder: 4
+};
+
+const CONFIG_ERROR = 'Invalid configuration. Expected an integer >= 1 for';
+
+// Pick the configuration options that are set
+
+const pickOptions = (options, names) => Object.fromEntries(
+  names
+    .filter(name => options?.[name] !== undefined)
+    .map(name => [name, options[name]])
+);
+
+// Read configuration options from environment
+// variables (as numbers)
+
+const fromEnvironment = (environment, names) => Object.fromEntries(
+  names
+    .filter(name => environment[ENVIRONMENT_VARIABLES[name]] !== undefined)
+    .map(name => {
+      const variable = ENVIRONMENT_VARIABLES[name];
+      const value = Number(environment[variable]);
+
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${CONFIG_ERROR} ${variable}`);
+      }
+
+      return [name, value];
+    })
+);
+
+// Check every option is a positive integer
+
+const validateConfig = config => {
+  for (const [name, value] of Object.entries(config)) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${CONFIG_ERROR} ${name}`);
+    }
+  }
+
+  return config;
+};
+
+/**
+ * createConfig
+ * Resolve a model's configuration from options,
+ * then environment variables (e.g. from `.env`),
+ * then the model's defaults.
+ */
+
+const createConfig = (options = {}, defaults = DEFAULT_CONFIG) => {
+  const names = Object.keys(defaults);
+
+  return validateConfig({
+    ...defaults,
+    ...fromEnvironment(process.env, names),
+    ...pickOptions(options, names)
+  });
+};
+
+/**
+ * withOverrides
+ * Apply the per-call options of a prediction
+ * method (`rankingBatchSize`, `maxResponseLength`)
+ * to a model's configuration.
+ */
+
+const withOverrides = (config, options = {}) => validateConfig({
+  ...config,
+  ...pickOptions(options, CALL_OPTIONS.filter(name => name in config))
+});
+
+module.exports = {
+  DEFAULT_CONFIG,
+  createConfig,
+  withOverrides
+};
@@ -0,0 +1,237 @@
+const fs = require('fs').promises;
+
+const Phrase = require('../models/Phrase');
+
+const { createDocumentOptions } = require('../loaders');
+const { createReporter } = require('../progress');
+
+const {
+  createRandom,
+  loadDocuments
+} = require('../utils');
+
+const SPLIT_FILES = 'files';
+const SPLIT_SENTENCES = 'sentences';
+
+const SPLIT_ERROR = `Split must be "${SPLIT_FILES}" or "${SPLIT_SENTENCES}".`;
+const TEST_RATIO_ERROR = 'Test ratio must be a number between 0 and 1.';
+const TOO_FEW_FILES_ERROR = 'Splitting by files requires at least 2 files.';
+const NOTIF_EVALUATING = 'Evaluating...';
+const DONE = 'Done.';
+
+// Shuffle a copy of an array (Fisher-Yates)
+
+const shuffle = (array, random) => {
+  const result = [...array];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
+// Split items into train and test sets
+
+const splitItems = (items, testRatio, random) => {
+  const shuffled = shuffle(items, random);
+
+  const testSize = Math.min(
+    shuffled.length - 1,
+    Math.max(1, Math.round(shuffled.length * testRatio))
+  );
+
+  return {
+    train: shuffled.slice(testSize),
+    test: shuffled.slice(0, testSize)
+  };
+};
+
+/**
+ * Evaluate a phrase model on a held-out split
+ * of a dataset. Reports top-1 and top-k next-word
+ * accuracy, perplexity and out-of-vocabulary rate,
+ * optionally writing the results to a JSON file.
+ */
+
+module.exports = async ({
+  dataset,
+  split = SPLIT_SENTENCES,
+  testRatio = 0.2,
+  topK = 5,
+  seed = 0,
+  ngramOrder,
+  parameterChunkSize,
+  rankingBatchSize,
+  backoffFactor,
+  root,
+  loaders,
+  loaderOptions,
+  clean,
+  redact,
+  tokenizer,
+  mode = dataset?.mode,
+  storage,
+  onProgress,
+  logger,
+  silent,
+  output
+} = {}) => {
+  const { name, files } = dataset;
+
+  const random = createRandom(seed);
+
+  const documentOptions = createDocumentOptions({
+    root,
+    loaders,
+    loaderOptions,
+    mode
+  });
+
+  const phraseModel = Phrase({
+    ngramOrder,
+    parameterChunkSize,
+    rankingBatchSize,
+    backoffFactor,
+    clean,
+    redact,
+    tokenizer,
+    mode,
+    storage,
+    root,
+    loaders,
+    loaderOptions,
+    onProgress,
+    logger,
+    silent
+  });
+
+  const reporter = createReporter({
+    logger,
+    silent
+  });
+
+  if (![SPLIT_FILES, SPLIT_SENTENCES].includes(split)) {
+    throw new Error(SPLIT_ERROR);
+  }
+
+  if (!(testRatio > 0 && testRatio < 1)) {
+    throw new Error(TEST_RATIO_ERROR);
+  }
+
+  reporter.log(NOTIF_EVALUATING);
+
+  // 1. Split (training documents are kept apart,
+  // so sequences never span two of them)
+
+  let trainDocuments;
+  let testSequences;
+  let sizes;
+
+  if (split === SPLIT_FILES) {
+    if (files.length < 2) {
+      throw new Error(TOO_FEW_FILES_ERROR);
+    }
+
+    const { train, test } = splitItems(files, testRatio, random);
+
+    trainDocuments = await loadDocuments(train, documentOptions);
+
+    testSequences = (await loadDocuments(test, documentOptions))
+      .flatMap(({ text }) => phraseModel.toSequences(text));
+
+    sizes = {
+      train: { files: train },
+      test: { files: test }
+    };
+  } else {
+    const sentences = (await loadDocuments(files, documentOptions))
+      .flatMap(({ text }) => phraseModel.toSequences(text));
+
+    const { train, test } = splitItems(sentences, testRatio, random);
+
+    trainDocuments = train;
+    testSequences = test;
+
+    sizes = {
+      train: { sentences: train.length },
+      test: { sentences: test.length }
+    };
+  }
+
+  // 2. Train
+
+  phraseModel.createContext(trainDocuments);
+
+  // 3. Score next-word predictions on the test set
+
+  let predictions = 0;
+  let top1Hits = 0;
+  let topKHits = 0;
+  let tokenCount = 0;
+  let unknownTokenCount = 0;
+  let logProbability = 0;
+
+  for (const sequence of testSequences) {
+    const { tokens, logProbability: sequenceLogProbability } = (
+      phraseModel.scoreSequence(sequence)
+    );
+
+    tokenCount += tokens.length;
+    unknownTokenCount += tokens.filter(({ order }) => !order).length;
+    logProbability += sequenceLogProbability;
+
+    for (let index = 1; index < tokens.length; index++) {
+      const context = tokens
+        .slice(0, index)
+        .map(({ token }) => token);
+
+      const { rankedTokenList } = phraseModel.getTokenPrediction(context);
+      const rank = rankedTokenList.indexOf(tokens[index].token);
+
+      predictions++;
+
+      if (rank === 0) top1Hits++;
+      if (rank !== -1 && rank < topK) topKHits++;
+    }
+  }
+
+  phraseModel.dispose();
+
+  // 4. Report
+
+  const results = {
+    dataset: name,
+    date: new Date().toISOString(),
+    options: {
+      split,
+      testRatio,
+      topK,
+      seed,
+      ...phraseModel.getConfig(),
+      backoffFactor,
+      mode
+    },
+    ...sizes,
+    metrics: {
+      predictions,
+      tokens: tokenCount,
+      top1Accuracy: predictions ? top1Hits / predictions : 0,
+      topKAccuracy: predictions ? topKHits / predictions : 0,
+      perplexity: tokenCount
+        ? Math.exp(-logProbability / tokenCount)
+        : Infinity,
+      oovRate: tokenCount ? unknownTokenCount / tokenCount : 0
+    }
+  };
+
+  if (output) {
+    await fs.writeFile(output, JSON.stringify(results, null, 2));
+  }
+
+  reporter.log(DONE);
+
+  return results;
+};
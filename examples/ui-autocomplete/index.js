@@ -13,19 +13,22 @@ let agent = {};
 
 /**
  * onComplete
- * Endpoint to handle word prediction
+ * Endpoint to handle word prediction (completes
+ * the word being typed)
  */
 
 const onComplete = async (req, res) => {
   const { input } = req.body;
 
   const {
+    prefix,
     completion,
     completions,
     rankedTokenList
-  } = agent.getCompletions(input);
+  } = agent.getWordCompletions(input);
 
   res.json({
+    prefix,
     completion,
     completions,
     rankedTokenList
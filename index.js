@@ -1,5 +1,7 @@
 const { Language } = require('./models');
+const evaluate = require('./evaluation');
 
 module.exports = {
-  Language
+  Language,
+  evaluate
 };
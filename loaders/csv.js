@@ -0,0 +1,95 @@
+const DEFAULT_DELIMITER = ',';
+
+const MISSING_COLUMN_ERROR = 'CSV column not found:';
+
+// Parse CSV rows (RFC 4180: quoted fields may contain
+// delimiters, line breaks and escaped "" quotes)
+
+const parseRows = (text, delimiter) => {
+  const rows = [];
+
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+
+      row.push(field);
+      rows.push(row);
+
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+/**
+ * CSV loader
+ * Extracts text from the cells of each row. Use
+ * `column` (a header name or index, or a list of
+ * them) to pick which columns to keep (default:
+ * all). Set `header: false` when the first row
+ * is data.
+ */
+
+module.exports = (buffer, {
+  column,
+  delimiter = DEFAULT_DELIMITER,
+  header = true
+} = {}) => {
+  const rows = parseRows(buffer.toString(), delimiter);
+  const names = header ? rows.shift() || [] : [];
+
+  // resolve column names to indices
+
+  const indices = column === undefined
+    ? null
+    : [].concat(column).map(name => {
+      const index = typeof name === 'number'
+        ? name
+        : names.indexOf(name);
+
+      if (index === -1) {
+        throw new Error(`${MISSING_COLUMN_ERROR} ${name}`);
+      }
+
+      return index;
+    });
+
+  return rows
+    .map(cells => (
+      (indices ? indices.map(index => cells[index]) : cells)
+        .map(cell => (cell || '').trim())
+        .filter(Boolean)
+        .join(' ')
+    ))
+    .filter(Boolean)
+    .join('\n');
+};
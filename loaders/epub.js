@@ -0,0 +1,148 @@
+const { posix } = require('path');
+const zlib = require('zlib');
+
+const html = require('./html');
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+
+const EPUB_FORMAT_ERROR = 'Invalid EPUB file.';
+
+const MATCH_ROOTFILE = new RegExp(/<rootfile\b[^>]*\bfull-path="([^"]+)"/i);
+const MATCH_MANIFEST_ITEM = new RegExp(/<item\b[^>]*>/gi);
+const MATCH_SPINE_ITEM = new RegExp(/<itemref\b[^>]*\bidref="([^"]+)"/gi);
+
+// Get an attribute of an XML tag (by its whole
+// name, so `id` doesn't match `data-id`)
+
+const getAttribute = (tag, name) => (
+  tag.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'))?.[1]
+);
+
+/**
+ * readZip
+ * List the entries of a zip archive as a map of
+ * file name to a function that extracts it.
+ */
+
+const readZip = buffer => {
+  const entries = new Map();
+
+  // find the end of central directory record
+  // (it's followed by a comment of up to 64kb)
+
+  let end = buffer.length - 22;
+
+  while (end >= 0 && buffer.readUInt32LE(end) !== ZIP_END_OF_CENTRAL_DIRECTORY) {
+    end--;
+  }
+
+  if (end < 0) {
+    throw new Error(EPUB_FORMAT_ERROR);
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+
+  let pos = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pos) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error(EPUB_FORMAT_ERROR);
+    }
+
+    const method = buffer.readUInt16LE(pos + 10);
+    const compressedSize = buffer.readUInt32LE(pos + 20);
+    const nameLength = buffer.readUInt16LE(pos + 28);
+    const extraLength = buffer.readUInt16LE(pos + 30);
+    const commentLength = buffer.readUInt16LE(pos + 32);
+    const offset = buffer.readUInt32LE(pos + 42);
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(offset) !== ZIP_LOCAL_FILE_HEADER) {
+        throw new Error(EPUB_FORMAT_ERROR);
+      }
+
+      const start = offset + 30 +
+        buffer.readUInt16LE(offset + 26) +
+        buffer.readUInt16LE(offset + 28);
+
+      const data = buffer.subarray(start, start + compressedSize);
+
+      if (method === ZIP_STORED) return data;
+      if (method === ZIP_DEFLATED) return zlib.inflateRawSync(data);
+
+      throw new Error(EPUB_FORMAT_ERROR);
+    });
+
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * EPUB loader
+ * Extracts the text of each chapter of an EPUB
+ * book in reading (spine) order.
+ */
+
+module.exports = buffer => {
+  const entries = readZip(buffer);
+
+  const read = path => {
+    const extract = entries.get(path);
+
+    if (!extract) {
+      throw new Error(`${EPUB_FORMAT_ERROR} (missing ${path})`);
+    }
+
+    return extract().toString();
+  };
+
+  // locate the package document
+
+  const packagePath = read(CONTAINER_PATH).match(MATCH_ROOTFILE)?.[1];
+
+  if (!packagePath) {
+    throw new Error(EPUB_FORMAT_ERROR);
+  }
+
+  const packageDocument = read(packagePath);
+  const baseDirectory = posix.dirname(packagePath);
+
+  // map manifest ids to paths
+
+  const manifest = new Map();
+
+  for (const [tag] of packageDocument.matchAll(MATCH_MANIFEST_ITEM)) {
+    const id = getAttribute(tag, 'id');
+    const href = getAttribute(tag, 'href');
+
+    if (id && href) {
+      manifest.set(
+        id,
+        posix.normalize(posix.join(baseDirectory, decodeURIComponent(href)))
+      );
+    }
+  }
+
+  // read chapters in spine order
+
+  const chapters = [];
+
+  for (const [, idref] of packageDocument.matchAll(MATCH_SPINE_ITEM)) {
+    const path = manifest.get(idref);
+
+    if (path && entries.has(path)) {
+      chapters.push(html(Buffer.from(read(path))));
+    }
+  }
+
+  return chapters.join('\n');
+};
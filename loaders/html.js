@@ -0,0 +1,88 @@
+// Elements without human-readable content
+// (or with boilerplate like navigation)
+
+const SKIPPED_ELEMENTS = [
+  'head',
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'svg',
+  'nav',
+  'footer'
+];
+
+const MATCH_COMMENT = new RegExp(/<!--[\s\S]*?-->/g);
+const MATCH_CDATA = new RegExp(/<!\[CDATA\[[\s\S]*?\]\]>/g);
+const MATCH_DECLARATION = new RegExp(/<[!?][^>]*>/g);
+const MATCH_BLOCK_TAG = new RegExp(/<\/?(address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|h[1-6]|header|hr|li|main|ol|p|pre|section|table|td|th|tr|ul)\b[^>]*>/gi);
+const MATCH_TAG = new RegExp(/<\/?[a-z][^>]*>/gi);
+const MATCH_ENTITY = new RegExp(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi);
+const MATCH_SPACES = new RegExp(/[ \t\f\v\u00A0]+/g);
+const MATCH_BLANK_LINES = new RegExp(/\s*\n\s*/g);
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+// Decode a named or numeric character reference
+
+const decodeEntity = (entity, reference) => {
+  if (reference[0] === '#') {
+    const codePoint = reference[1].toLowerCase() === 'x'
+      ? parseInt(reference.slice(2), 16)
+      : parseInt(reference.slice(1), 10);
+
+    return codePoint <= 0x10FFFF
+      ? String.fromCodePoint(codePoint)
+      : entity;
+  }
+
+  return ENTITIES[reference.toLowerCase()] ?? entity;
+};
+
+/**
+ * HTML loader
+ * Extracts the visible text of an HTML (or XHTML)
+ * document. Block elements become line breaks, and
+ * scripts, styles, navigation and footers are
+ * removed.
+ */
+
+module.exports = buffer => {
+  let text = buffer
+    .toString()
+    .replace(MATCH_COMMENT, '')
+    .replace(MATCH_CDATA, '');
+
+  for (const element of SKIPPED_ELEMENTS) {
+    text = text.replace(
+      new RegExp(`<${element}\\b[^>]*>[\\s\\S]*?<\\/${element}>`, 'gi'),
+      ''
+    );
+  }
+
+  return text
+    .replace(MATCH_DECLARATION, '')
+    .replace(MATCH_BLOCK_TAG, '\n')
+    .replace(MATCH_TAG, '')
+    .replace(MATCH_ENTITY, decodeEntity)
+    .replace(MATCH_SPACES, ' ')
+    .replace(MATCH_BLANK_LINES, '\n')
+    .trim();
+};
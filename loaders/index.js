@@ -0,0 +1,123 @@
+const { extname } = require('path');
+
+const markdown = require('./markdown');
+const html = require('./html');
+const jsonl = require('./jsonl');
+const csv = require('./csv');
+const epub = require('./epub');
+
+// Plain text
+
+const text = buffer => buffer.toString();
+
+// Built-in loaders by file extension. A loader takes
+// a Buffer and its options, and returns (or resolves
+// to) the human-readable text of the document.
+
+const LOADERS = {
+  '.txt': text,
+  '.md': markdown,
+  '.markdown': markdown,
+  '.html': html,
+  '.htm': html,
+  '.xhtml': html,
+  '.jsonl': jsonl,
+  '.ndjson': jsonl,
+  '.csv': csv,
+  '.epub': epub
+};
+
+// Source code is loaded as is in code mode
+
+const MODE_CODE = 'code';
+
+const CODE_EXTENSIONS = [
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx',
+  '.json', '.css', '.scss', '.vue', '.svelte', '.py', '.rb', '.go',
+  '.rs', '.java', '.kt', '.c', '.h', '.cpp', '.hpp', '.cs', '.php',
+  '.swift', '.sh', '.sql', '.yml', '.yaml'
+];
+
+const code = buffer => buffer.toString();
+
+// Options are looked up by loader name
+
+const LOADER_NAMES = new Map([
+  [text, 'text'],
+  [markdown, 'markdown'],
+  [html, 'html'],
+  [jsonl, 'jsonl'],
+  [csv, 'csv'],
+  [epub, 'epub'],
+  [code, 'code']
+]);
+
+/**
+ * getExtensions
+ * List the file extensions that have a loader.
+ */
+
+const getExtensions = (loaders = {}) => Object.keys({
+  ...LOADERS,
+  ...loaders
+});
+
+/**
+ * loadText
+ * Extract the text of a document with the loader
+ * for its file extension (plain text if there is
+ * none). `loaders` adds or overrides loaders by
+ * extension, and `loaderOptions` passes options
+ * by loader name, e.g. `{ csv: { column: 'name' } }`.
+ */
+
+const loadText = async (name, buffer, {
+  loaders = {},
+  loaderOptions = {}
+} = {}) => {
+  const extension = extname(name || '').toLowerCase();
+  const loader = loaders[extension] || LOADERS[extension] || text;
+  const loaderName = LOADER_NAMES.get(loader) || extension.slice(1);
+
+  return loader(buffer, loaderOptions[loaderName] || {});
+};
+
+/**
+ * withCodeLoaders
+ * Add loaders for source code files (plain text,
+ * unchanged) to a set of loaders, so directories
+ * include them.
+ */
+
+const withCodeLoaders = (loaders = {}) => ({
+  ...Object.fromEntries(
+    CODE_EXTENSIONS.map(extension => [extension, code])
+  ),
+  ...loaders
+});
+
+/**
+ * createDocumentOptions
+ * Get the options that `loadDocuments` loads the
+ * documents of a model with (adding the code
+ * loaders in code mode).
+ */
+
+const createDocumentOptions = ({
+  root,
+  loaders,
+  loaderOptions,
+  mode
+}) => ({
+  root,
+  loaders: mode === MODE_CODE ? withCodeLoaders(loaders) : loaders,
+  loaderOptions
+});
+
+module.exports = {
+  MODE_CODE,
+  createDocumentOptions,
+  withCodeLoaders,
+  getExtensions,
+  loadText
+};
@@ -0,0 +1,61 @@
+const DEFAULT_FIELD = 'text';
+
+const JSON_LINE_ERROR = 'Invalid JSON on line';
+
+// Get the values at a dot-separated path, mapping
+// over arrays along the way (so `messages.content`
+// gets the content of every message)
+
+const getValues = (value, path) => {
+  if (Array.isArray(value)) {
+    return value.flatMap(item => getValues(item, path));
+  }
+
+  if (!path.length) {
+    return [value];
+  }
+
+  const [key, ...rest] = path;
+
+  return value && typeof value === 'object'
+    ? getValues(value[key], rest)
+    : [];
+};
+
+/**
+ * JSONL loader
+ * Extracts text from a field of each JSON line.
+ * `field` is a dot-separated path (default `text`),
+ * or a list of paths. Non-string values are
+ * skipped.
+ */
+
+module.exports = (buffer, {
+  field = DEFAULT_FIELD
+} = {}) => {
+  const paths = [].concat(field).map(path => path.split('.'));
+  const lines = buffer.toString().split(/\r?\n/);
+  const texts = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (!line.trim()) continue;
+
+    let record;
+
+    try {
+      record = JSON.parse(line);
+    } catch {
+      throw new Error(`${JSON_LINE_ERROR} ${index + 1}.`);
+    }
+
+    for (const path of paths) {
+      for (const value of getValues(record, path)) {
+        if (typeof value === 'string' && value.trim()) {
+          texts.push(value.trim());
+        }
+      }
+    }
+  }
+
+  return texts.join('\n');
+};
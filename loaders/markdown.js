@@ -0,0 +1,51 @@
+const html = require('./html');
+
+// Markdown syntax
+
+const MATCH_FRONT_MATTER = new RegExp(/^---\n[\s\S]*?\n---\n/);
+const MATCH_CODE_BLOCK = new RegExp(/^(```|~~~)[\s\S]*?^\1.*$/gm);
+const MATCH_IMAGE = new RegExp(/!\[([^\]]*)\]\([^)]*\)/g);
+const MATCH_LINK = new RegExp(/\[([^\]]*)\]\([^)]*\)/g);
+const MATCH_REFERENCE_LINK = new RegExp(/\[([^\]]*)\]\[[^\]]*\]/g);
+const MATCH_LINK_DEFINITION = new RegExp(/^\s*\[[^\]]+\]:\s.*$/gm);
+const MATCH_HEADING = new RegExp(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm);
+const MATCH_SETEXT_UNDERLINE = new RegExp(/^\s*(=+|-+)\s*$/gm);
+const MATCH_RULE = new RegExp(/^\s*([-*_]\s*){3,}$/gm);
+const MATCH_BLOCKQUOTE = new RegExp(/^\s*>+\s?/gm);
+const MATCH_LIST_ITEM = new RegExp(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/gm);
+const MATCH_TABLE_DIVIDER = new RegExp(/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/gm);
+const MATCH_TABLE_PIPE = new RegExp(/\s*\|\s*/g);
+const MATCH_EMPHASIS = new RegExp(/(\*{1,3}|_{1,3}|~~)(\S(?:.*?\S)?)\1/g);
+const MATCH_INLINE_CODE = new RegExp(/`([^`]*)`/g);
+const MATCH_TERMINATED = new RegExp(/[.?!:]$/);
+
+/**
+ * Markdown loader
+ * Strips Markdown syntax, keeping the text of
+ * links, images (alt text), emphasis and inline
+ * code. Code blocks and front matter are removed,
+ * and headings become sentences.
+ */
+
+module.exports = buffer => html(
+  buffer
+    .toString()
+    .replace(/\r\n?/g, '\n')
+    .replace(MATCH_FRONT_MATTER, '')
+    .replace(MATCH_CODE_BLOCK, '')
+    .replace(MATCH_HEADING, (_, heading) => (
+      MATCH_TERMINATED.test(heading) ? heading : `${heading}.`
+    ))
+    .replace(MATCH_SETEXT_UNDERLINE, '')
+    .replace(MATCH_RULE, '')
+    .replace(MATCH_TABLE_DIVIDER, '')
+    .replace(MATCH_LINK_DEFINITION, '')
+    .replace(MATCH_IMAGE, '$1')
+    .replace(MATCH_LINK, '$1')
+    .replace(MATCH_REFERENCE_LINK, '$1')
+    .replace(MATCH_BLOCKQUOTE, '')
+    .replace(MATCH_LIST_ITEM, '')
+    .replace(MATCH_TABLE_PIPE, ' ')
+    .replace(MATCH_INLINE_CODE, '$1')
+    .replace(MATCH_EMPHASIS, '$2')
+);
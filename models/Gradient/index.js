@@ -1,19 +1,23 @@
-const { dirname } = require('path');
-const __root = dirname(require.main.filename);
 const fs = require('fs').promises;
 
 const { merge } = require('lodash');
-const dotenv = require('dotenv');
 
 const { combineImages } = require('../../utils');
-
-dotenv.config();
+const { createConfig, withOverrides } = require('../../config');
 
 const {
-  PARAMETER_CHUNK_SIZE = 50000,
-  RANKING_BATCH_SIZE = 50,
-  MAX_RESPONSE_LENGTH = 1024
-} = process.env;
+  EVENT_STARTED,
+  EVENT_STATS,
+  EVENT_FINISHED,
+  createReporter
+} = require('../../progress');
+
+// Gradients are longer than phrases
+
+const DEFAULT_CONFIG = {
+  rankingBatchSize: 50,
+  maxResponseLength: 1024
+};
 
 const DONE = 'Done.';
 const NOTIF_TRAINING = 'Training Gradient...';
@@ -43,35 +47,61 @@ const toCommonHex = (hex) => {
   return `#${snap(r)}${snap(g)}${snap(b)}`;
 };
 
-const Context = {
-  trie: {},
-  sequences: []
-};
-
-module.exports = () => {
+module.exports = ({
+  rankingBatchSize,
+  maxResponseLength,
+  onProgress,
+  logger,
+  silent = false
+} = {}) => {
   let trainingData = [];
 
+  // Typed options (or environment variables),
+  // some of which can be overridden per call
+
+  const config = createConfig({
+    rankingBatchSize,
+    maxResponseLength
+  }, DEFAULT_CONFIG);
+
+  // Structured training events and logging
+
+  const reporter = createReporter({
+    onProgress,
+    logger,
+    silent
+  });
+
+  // In-memory representation of context data
+  // (each instance has its own)
+
+  const Context = {
+    trie: {},
+    sequences: []
+  };
+
   const ngramSearch = input => (
     input.split(' ').reduce((a, b) => a?.[b], Context.trie) || {}
   );
 
-  const getPixelPrediction = pixel => {
+  const getPixelPrediction = (pixel, options = {}) => {
     if (!pixel) return { token: '', rankedTokenList: [] };
+    const { rankingBatchSize } = withOverrides(config, options);
     const rankedTokens = Object.keys(ngramSearch(pixel));
     const highestRanked = rankedTokens[rankedTokens.length - 1];
 
     return {
       token: highestRanked || '',
-      rankedTokenList: rankedTokens.slice(-RANKING_BATCH_SIZE)
+      rankedTokenList: rankedTokens.slice(-rankingBatchSize)
     };
   };
 
-  const getPixelSequencePrediction = (input, sequenceLength = 10) => {
+  const getPixelSequencePrediction = (input, sequenceLength = 10, options = {}) => {
     const sequence = [];
 
     let result = input;
 
-    const { rankedTokenList: keyPredictions } = getPixelPrediction(input);
+    const { rankedTokenList: keyPredictions } = getPixelPrediction(input, options);
 
     for (let i = 0; i < sequenceLength; i++) {
       const { token: prediction } = getPixelPrediction(result.split(' ').pop());
@@ -89,8 +119,9 @@ module.exports = () => {
     };
   };
 
-  const getCompletions = input => {
-    const { completion, token, rankedTokenList } = getPixelSequencePrediction(input, MAX_RESPONSE_LENGTH);
+  const getCompletions = (input, options = {}) => {
+    const { maxResponseLength } = withOverrides(config, options);
+    const { completion, token, rankedTokenList } = getPixelSequencePrediction(input, maxResponseLength, options);
     const completions = [completion];
 
     for (const predictedToken of rankedTokenList) {
@@ -103,7 +134,7 @@ module.exports = () => {
   };
 
   const createContext = () => {
-    console.log(NOTIF_CREATING_CONTEXT);
+    reporter.log(NOTIF_CREATING_CONTEXT);
 
     const ngrams = [trainingData.reduce((acc, hex, i) => {
       if (trainingData[i + 1]) {
@@ -116,7 +147,7 @@ module.exports = () => {
 
     Context.trie = merge(Context.trie, ...ngrams);
 
-    console.log(DONE);
+    reporter.log(DONE);
   };
 
   /**
@@ -125,11 +156,11 @@ module.exports = () => {
    */
 
   const train = async dataset => {
-    const { files } = dataset;
+    const { name, files } = dataset;
     const startTime = Date.now();
     const trie = {};
 
-    console.log(NOTIF_TRAINING);
+    reporter.emit(EVENT_STARTED, { dataset: name }, NOTIF_TRAINING);
 
     const rawPixels = await combineImages(files);
 
@@ -158,8 +189,18 @@ module.exports = () => {
       }
     }
 
-    console.log(
-      `Gradient training completed in ${(Date.now() - startTime) / 1000} seconds.`
+    reporter.emit(EVENT_STATS, {
+      dataset: name,
+      pixels: trainingData.length,
+      colors: Object.keys(trie).length
+    });
+
+    const duration = (Date.now() - startTime) / 1000;
+
+    reporter.emit(
+      EVENT_FINISHED,
+      { dataset: name, duration },
+      `Gradient training completed in ${duration} seconds.`
     );
   };
 
@@ -167,6 +208,19 @@ module.exports = () => {
     trainingData = pixels.map(toCommonHex);
   };
 
+  /**
+   * dispose
+   * Release the context held by this
+   * instance.
+   */
+
+  const dispose = () => {
+    trainingData = [];
+
+    Context.trie = {};
+    Context.sequences = [];
+  };
+
   return {
     ingest,
     train,
@@ -174,6 +228,7 @@ module.exports = () => {
     getPixelPrediction,
     getPixelSequencePrediction,
     getCompletions,
+    dispose,
     toCommonHex
   };
 };
@@ -1,6 +1,3 @@
-const { dirname } = require('path');
-const __root = dirname(require.main.filename);
-
 const Gradient = require('../Gradient');
 const { combineImages } = require('../../utils');
 
@@ -17,11 +14,24 @@ module.exports = async ({
   pixels,
   dataset,
   files,
+  rankingBatchSize,
+  maxResponseLength,
+  onProgress,
+  logger,
+  silent,
   bootstrap = false
 } = {}) => {
   let modelName = name || NEW_MODEL_NAME;
   let gradientModel;
 
+  const gradientOptions = {
+    rankingBatchSize,
+    maxResponseLength,
+    onProgress,
+    logger,
+    silent
+  };
+
   /**
    * init
    * Handles the initial setup, determining if the model
@@ -48,7 +58,7 @@ module.exports = async ({
    */
 
   const fromTrainingData = ({ pixels }) => {
-    const instance = Gradient();
+    const instance = Gradient(gradientOptions);
 
     instance.ingest(pixels);
     instance.createContext();
@@ -63,7 +73,7 @@ module.exports = async ({
    */
 
   const fromImages = async (imageFiles) => {
-    const instance = Gradient();
+    const instance = Gradient(gradientOptions);
 
     if (imageFiles && imageFiles.length > 0) {
       await instance.train({
@@ -78,11 +88,12 @@ module.exports = async ({
   /**
    * generate
    * Simple API to get the highest-ranked pixel sequence
-   * based on a starting color.
+   * based on a starting color (accepts configuration
+   * overrides).
    */
 
-  const generate = seedPixel => (
-    gradientModel.getCompletions(seedPixel).completion
+  const generate = (seedPixel, options) => (
+    gradientModel.getCompletions(seedPixel, options).completion
   );
 
   /**
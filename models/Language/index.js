@@ -1,11 +1,10 @@
-const { dirname } = require('path');
-const __root = dirname(require.main.filename);
+const { join } = require('path');
 
 const Phrase = require('../Phrase');
 
-const { combineDocuments } = require('../../utils');
+const { __root } = require('../../utils');
 
-const DEFAULT_DATASET = require(`${__root}/training/datasets/Default`);
+const DEFAULT_DATASET_PATH = 'training/datasets/Default';
 
 const NEW_DATASET_NAME = 'New Dataset';
 
@@ -18,12 +17,54 @@ module.exports = async ({
   name,
   dataset,
   files,
+  modelFile,
+  ngramOrder,
+  parameterChunkSize,
+  rankingBatchSize,
+  maxResponseLength,
+  backoffFactor,
+  root = __root,
+  loaders,
+  loaderOptions,
+  clean,
+  redact,
+  tokenizer,
+  mode = dataset?.mode,
+  storage,
+  recordDocuments,
+  onProgress,
+  logger,
+  silent,
   bootstrap = false
 } = {}) => {
   let datasetName = name || NEW_DATASET_NAME;
-  let trainingData = null;
   let phraseModel;
 
+  const phraseOptions = {
+    ngramOrder,
+    parameterChunkSize,
+    rankingBatchSize,
+    maxResponseLength,
+    backoffFactor,
+    clean,
+    redact,
+    tokenizer,
+    mode,
+    storage,
+    recordDocuments,
+    root,
+    loaders,
+    loaderOptions,
+    onProgress,
+    logger,
+    silent
+  };
+
+  // The default dataset is loaded from the root
+  // directory when it's needed
+
+  const getDefaultDataset = () => require(join(root, DEFAULT_DATASET_PATH));
+
   /**
    * init
    * Train, create context and initialize the
@@ -32,54 +73,43 @@ module.exports = async ({
 
   const init = async () => {
     /**
-     * If bootstrap is true, start the LM
-     * with default training data.
+     * If a model file is provided, load the
+     * trained context from disk.
      */
 
-    if (bootstrap) {
-      files = DEFAULT_DATASET.files;
-      datasetName = DEFAULT_DATASET.name;
+    if (modelFile) {
+      phraseModel = await fromModelFile(modelFile);
+
+      return;
     }
 
     /**
-     * If a dataset is provided, create a model
-     * from training data.
+     * If bootstrap is true, start the LM
+     * with default training data.
      */
 
-    if (dataset?.name) {
-      datasetName = dataset.name;
-
-      // concatenate and store all reference text
-
-      const text = await combineDocuments(dataset.files);
-
-      // build training data object
+    if (bootstrap) {
+      const defaultDataset = getDefaultDataset();
 
-      trainingData = {
-        text
-      };
+      files = defaultDataset.files;
+      datasetName = defaultDataset.name;
     }
 
     /**
-     * Instantiate a phrase model either from
-     * existing training data or by providing
-     * files.
+     * If a dataset is provided, train on its
+     * files (reporting the same training events).
      */
 
-    if (trainingData) {
-
-      // Skips initial extraction and training
-      // just instantiates the model.
-
-      phraseModel = fromTrainingData(trainingData);
-    } else {
+    if (dataset?.name) {
+      files = dataset.files;
+      datasetName = dataset.name;
+    }
 
-      // Performs an intensive training operation
-      // using provided files, creating a model
-      // structure and corresponding values.
+    // Performs an intensive training operation
+    // using provided files, creating a model
+    // structure and corresponding values.
 
-      phraseModel = await fromFiles(files);
-    }
+    phraseModel = await fromFiles(files);
   };
 
   /**
@@ -88,12 +118,13 @@ module.exports = async ({
    */
 
   const fromTrainingData = ({
-    text
+    text,
+    documents
   }) => {
-    const textPhrase = Phrase();
+    const textPhrase = Phrase(phraseOptions);
 
     textPhrase.ingest(text);
-    textPhrase.createContext();
+    textPhrase.createContext(documents);
 
     return textPhrase;
   };
@@ -105,7 +136,7 @@ module.exports = async ({
    */
 
   const fromFiles = async files => {
-    const textPhrase = Phrase();
+    const textPhrase = Phrase(phraseOptions);
 
     if (files) {
       await textPhrase.train({
@@ -116,23 +147,40 @@ module.exports = async ({
 
       // Default to bootstrap
 
+      const defaultDataset = getDefaultDataset();
+
       await textPhrase.train({
-        name: DEFAULT_DATASET.name,
-        files: DEFAULT_DATASET.files
+        name: defaultDataset.name,
+        files: defaultDataset.files
       });
     }
 
     return textPhrase;
   };
 
+  /**
+   * fromModelFile
+   * Create a new phrase model from a file
+   * created by `save` (skips training).
+   */
+
+  const fromModelFile = async path => {
+    const textPhrase = Phrase(phraseOptions);
+
+    await textPhrase.load(path);
+
+    return textPhrase;
+  };
+
   /**
    * complete
    * Pass query to the phrase model and return
-   * the highest-ranked completion.
+   * the highest-ranked completion (or a sampled
+   * one, see `getTokenSequencePrediction`).
    */
 
-  const complete = query => (
-    phraseModel.getCompletions(query).completion
+  const complete = (query, options) => (
+    phraseModel.getCompletions(query, options).completion
   );
 
   // Language API (extends Phrase)
@@ -144,6 +192,7 @@ module.exports = async ({
 
     fromTrainingData,
     fromFiles,
+    fromModelFile,
     complete
   };
 };
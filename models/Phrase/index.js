@@ -1,358 +1,2261 @@
-const { dirname } = require('path');
-const __root = dirname(require.main.filename);
 const fs = require('fs').promises;
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { setImmediate: nextTurn } = require('timers/promises');
 
-const { merge } = require('lodash');
-const dotenv = require('dotenv');
+const {
+  alphabet,
+  createRandom,
+  editDistance,
+  loadDocuments,
+  suffixes
+} = require('../../utils');
+
+const {
+  createCleaner,
+  createRedactor
+} = require('../../preprocessing');
+
+const { createTokenizer } = require('../../tokenizers');
+const {
+  MODE_CODE,
+  createDocumentOptions
+} = require('../../loaders');
+const { createConfig, withOverrides } = require('../../config');
+const { createStorage } = require('../../storage');
+
+const {
+  EVENT_STARTED,
+  EVENT_DOCUMENT_LOADED,
+  EVENT_STATS,
+  EVENT_FINISHED,
+  createReporter
+} = require('../../progress');
+
+// Tokenizer utils. Designed for words and phrases
+// in any script.
+
+const MATCH_LOWER_UPPER = new RegExp(/(\p{Ll})(\p{Lu})/gu);
+const MATCH_NEW_LINES = new RegExp(/\n/g);
+const MATCH_OTHER_SPACES = new RegExp(/[^\S\n ]/g);
+const MATCH_APOSTROPHES = new RegExp(/[’ʼ]/g);
+
+const FORMAT_PLAIN_TEXT = [
+  /\.\s+|\n|\r|\0/mg,
+  /\s-+\s/mg,
+  /[©|]\s?/mg,
+  /[!(–?$”“…«»¿¡。！？؟]/mg,
+  /\s{2,}|^\s/mg
+];
+
+const MATCH_TERMINATORS = new RegExp(/([.?!。！？؟।])\s*(?=[«"“‘(]?[\p{Lu}\p{Lt}\p{Lo}])/gu);
+const MATCH_UNKNOWN_CHARACTER = new RegExp(/[^\p{L}\p{M}\p{N}\p{P}]/u);
+const MISSING_NGRAM_ERROR = 'Failed to look up n-gram.';
+const NGRAM_ORDER_ERROR = 'N-gram order must be an integer of 2 or more.';
+const BACKOFF_FACTOR_ERROR = 'Backoff factor must be a number between 0 and 1.';
+const BEAM_OPTIONS_ERROR = 'Invalid beam search options. Expected integers beamWidth >= 1, count >= 1, maxLength >= 1 and lengthPenalty >= 0.';
+const UNLEARN_ERROR = 'Text to unlearn was not part of the training data.';
+const UNTRAINED_DOCUMENT_ERROR = 'Document was not trained.';
+const UNRECORDED_DOCUMENTS_ERROR = 'Documents were not recorded. Create the model with recordDocuments: true to forget them.';
+const FORGET_CLEANING_ERROR = 'Documents cannot be forgotten exactly when cleaning removes duplicates. Pass clean: { deduplicate: false }.';
+const STOP_OPTIONS_ERROR = 'Invalid stop conditions. Expected integers maxLength >= 1, 0 <= minLength <= maxLength and noRepeatNgramSize >= 0, and stop sequences as strings.';
+const CORRECTION_OPTIONS_ERROR = 'Invalid correction options. Expected a maxDistance > 0 and an integer count >= 1.';
+const SAMPLING_OPTIONS_ERROR = 'Invalid sampling options. Expected temperature >= 0, an integer topK >= 0, 0 < topP <= 1 and an integer seed.';
+const NOTIF_TRAINING = 'Training...';
+const NOTIF_CREATING_CONTEXT = 'Creating context...';
+const DONE = 'Done.';
+
+// Model file format. Bump `MODEL_FILE_VERSION` whenever
+// the serialized trie layout changes.
+
+const MODEL_FILE_FORMAT = 'next-token-prediction/phrase';
+const MODEL_FILE_VERSION = 2;
+const MODEL_FORMAT_ERROR = 'Invalid model file.';
+const MODEL_VERSION_ERROR = 'Incompatible model file version.';
+
+// Generator function to chunk arrays
+// Use with `parameterChunkSize` for models
+// with many parameters to avoid memory errors
+
+function* chunkArray (array, chunkSize) {
+  for (let i = 0; i < array.length; i += chunkSize) {
+    yield array.slice(i, i + chunkSize);
+  }
+}
+
+// Create an empty training report. Lists what the
+// cleaning stage removed from, and the redaction
+// stage replaced in, each document and in total
+
+const createReport = () => ({
+  documents: [],
+  redacted: {},
+  removed: {
+    boilerplateLines: 0,
+    duplicates: 0,
+    nearDuplicates: 0,
+    tooShort: 0,
+    tooLong: 0
+  }
+});
+
+// Text mode trains on sentences of prose, code mode
+// on whole source files (keeping symbols, indentation
+// and line breaks)
+
+const MODE_TEXT = 'text';
+const MODE_ERROR = `Mode must be "${MODE_TEXT}" or "${MODE_CODE}".`;
+
+const MATCH_LINE_BREAKS = new RegExp(/\r\n?/g);
+const MATCH_END_OF_LINE = new RegExp(/\n$/);
+
+// Normalize Unicode forms, apostrophes and spaces
+
+const normalizeText = text => (
+  text
+    .normalize('NFC')
+    .replace(MATCH_APOSTROPHES, "'")
+    .replace(MATCH_OTHER_SPACES, ' ')
+);
+
+// Discount applied to scores for each context word
+// dropped during backoff (stupid backoff)
+
+const BACKOFF_FACTOR = 0.4;
+
+// Beam search defaults. Scores are divided by
+// `length ** LENGTH_PENALTY` so longer completions
+// aren't penalized just for having more tokens
+
+const BEAM_WIDTH = 5;
+const LENGTH_PENALTY = 0.7;
+
+// The most contexts whose ranked continuations are
+// kept while decoding (the cache is emptied when
+// it's full)
+
+const RANKED_CONTEXT_LIMIT = 10000;
+
+// Tokens that end a sentence (end of sequence)
+
+const MATCH_END_OF_SEQUENCE = new RegExp(/[.?!]$/);
+
+// Order tokens alphabetically, used to break ties
+// in rankings so they don't depend on the order
+// text was trained in
+
+const compareTokens = (a, b) => (
+  a < b ? -1 : Number(a > b)
+);
+
+// Change the case of the first character of a token
+
+const toLowerFirst = token => (
+  token.charAt(0).toLowerCase() + token.slice(1)
+);
+
+const toUpperFirst = token => (
+  token.charAt(0).toUpperCase() + token.slice(1)
+);
+
+// Spelling corrections. A candidate's score is its
+// probability after the preceding words, times
+// `TYPO_PROBABILITY` for each edit from the word
+// that was typed (noisy channel)
+
+const MAX_EDIT_DISTANCE = 2;
+const CORRECTION_COUNT = 5;
+const TYPO_PROBABILITY = 0.01;
+
+const MATCH_WORDS = new RegExp(/[\p{L}\p{M}]+(['’-][\p{L}\p{M}]+)*/gu);
+const MATCH_WORD_EDGES = new RegExp(/^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu);
+const MATCH_WORD_PARTS = new RegExp(/['’-]/);
+
+// Get a token without surrounding punctuation,
+// in lower case
+
+const toBareWord = token => (
+  token
+    .replace(MATCH_WORD_EDGES, '')
+    .toLowerCase()
+);
+
+// Match the case of a suggestion to the word typed
+
+const matchCase = (suggestion, word) => {
+  if (word.length > 1 && word === word.toUpperCase()) {
+    return suggestion.toUpperCase();
+  }
+
+  return word.charAt(0) === word.charAt(0).toUpperCase()
+    ? toUpperFirst(suggestion)
+    : suggestion;
+};
+
+// Sampling is used when any of these options are
+// passed to a sequence prediction, otherwise the
+// highest ranked token is always chosen (greedy)
+
+const SAMPLING_OPTIONS = ['temperature', 'topK', 'topP', 'seed'];
+
+const isSampling = options => (
+  SAMPLING_OPTIONS.some(option => options[option] !== undefined)
+);
+
+// Validate sampling options
+
+const validateSamplingOptions = ({
+  temperature = 1,
+  topK = 0,
+  topP = 1,
+  seed = 0
+}) => {
+  if (
+    !(temperature >= 0) ||
+    !(Number.isInteger(topK) && topK >= 0) ||
+    !(topP > 0 && topP <= 1) ||
+    !Number.isInteger(seed)
+  ) {
+    throw new Error(SAMPLING_OPTIONS_ERROR);
+  }
+};
+
+// Validate stop conditions
+
+const validateStopOptions = ({
+  maxLength = 1,
+  minLength = 0,
+  noRepeatNgramSize = 0,
+  stop = []
+}) => {
+  if (
+    !(Number.isInteger(maxLength) && maxLength >= 1) ||
+    !(Number.isInteger(minLength) && minLength >= 0 && minLength <= maxLength) ||
+    !(Number.isInteger(noRepeatNgramSize) && noRepeatNgramSize >= 0) ||
+    [].concat(stop).some(sequence => typeof sequence !== 'string')
+  ) {
+    throw new Error(STOP_OPTIONS_ERROR);
+  }
+};
+
+// Key a list of tokens (n-gram) for lookups
+
+const toNgramKey = tokens => tokens.join('\u0000');
+
+// Get the keys of every n-gram of a given size
+// in a list of tokens
+
+const toNgramKeys = (tokens, size) => {
+  const keys = new Set();
+
+  for (let index = size; size && index <= tokens.length; index++) {
+    keys.add(toNgramKey(tokens.slice(index - size, index)));
+  }
+
+  return keys;
+};
+
+// Check whether a token can follow a list of tokens
+// without repeating an n-gram of a given size (any
+// token can when the size is 0)
+
+const createRepeatFilter = (tokens, ngrams, size) => {
+  if (!size) return () => true;
+
+  const previous = tokens.slice(Math.max(0, tokens.length - size + 1));
+
+  return token => !ngrams.has(toNgramKey([...previous, token]));
+};
+
+// Find where the first of a list of stop sequences
+// starts in a text (from an index), if any
+
+const findStop = (text, stop, from = 0) => {
+  const index = Math.min(
+    ...stop
+      .map(sequence => text.indexOf(sequence, from))
+      .filter(index => index !== -1)
+  );
+
+  return index === Infinity ? -1 : index;
+};
+
+// Draw a token from ranked candidates in proportion
+// to their scores, reshaped by `temperature` and
+// truncated by `topK` and `topP` (nucleus)
+
+const sampleToken = (candidates, {
+  temperature = 1,
+  topK = 0,
+  topP = 1
+}, random) => {
+  if (!candidates.length) return;
+
+  // zero temperature is greedy
+
+  if (temperature === 0) return candidates[0].token;
+
+  const pool = topK ? candidates.slice(0, topK) : candidates;
+  const [{ score: maxScore }] = pool;
+
+  const weights = pool.map(({ score }) => (
+    (score / maxScore) ** (1 / temperature)
+  ));
+
+  let total = weights.reduce((a, b) => a + b, 0);
+
+  // keep the smallest set of top tokens whose
+  // probability adds up to `topP`
+
+  if (topP < 1) {
+    let cumulative = 0;
+
+    for (let i = 0; i < weights.length; i++) {
+      cumulative += weights[i];
+
+      if (cumulative / total >= topP) {
+        weights.length = i + 1;
+        total = cumulative;
+
+        break;
+      }
+    }
+  }
+
+  let threshold = random() * total;
+
+  for (let i = 0; i < weights.length; i++) {
+    threshold -= weights[i];
+
+    if (threshold < 0) return pool[i].token;
+  }
+
+  return pool[weights.length - 1].token;
+};
+
+/**
+ * Create a phrase model. Every position of every
+ * sequence is indexed up to `ngramOrder` words,
+ * so n-grams can be matched mid-sentence. Pass
+ * `clean` (`true` or cleaning options) to strip
+ * boilerplate and duplicates, and `redact` (`true`
+ * or redaction options) to replace PII with
+ * placeholders before training. `tokenizer` sets
+ * how sequences are split into tokens (`'word'`,
+ * `'character'`, `'bpe'`, tokenizer options or a
+ * custom tokenizer). `mode: 'code'` trains on
+ * source code, with the code tokenizer by default.
+ * `ngramOrder`, `parameterChunkSize`,
+ * `rankingBatchSize` and `maxResponseLength`
+ * fall back to environment variables, then
+ * defaults. Training events are passed to
+ * `onProgress`, and messages to `logger` (unless
+ * `silent`). `storage` sets how the trie is kept
+ * in memory (`'compact'` or `'object'`). Pass
+ * `recordDocuments: true` to keep the sequences
+ * trained from each named document, so it can
+ * be forgotten.
+ */
+
+module.exports = ({
+  ngramOrder,
+  parameterChunkSize,
+  rankingBatchSize,
+  maxResponseLength,
+  backoffFactor = BACKOFF_FACTOR,
+  root,
+  loaders,
+  loaderOptions,
+  clean = false,
+  redact = false,
+  tokenizer: tokenizerOptions,
+  mode = MODE_TEXT,
+  storage = 'compact',
+  recordDocuments = false,
+  onProgress,
+  logger,
+  silent = false
+} = {}) => {
+  let trainingText = '';
+  let unigramCache = null;
+  let vocabularyIndex = null;
+  let wordIndex = null;
+  let rankedContexts = null;
+  let trainingReport = createReport();
+
+  // Bumped whenever the context changes, so caches
+  // built from it are rebuilt (its total count can
+  // come back to the same number with a different
+  // vocabulary)
+
+  let contextVersion = 0;
+
+  if (![MODE_TEXT, MODE_CODE].includes(mode)) {
+    throw new Error(MODE_ERROR);
+  }
+
+  // Where and how documents are loaded from (code
+  // loaders depend on the mode)
+
+  const getDocumentOptions = () => createDocumentOptions({
+    root,
+    loaders,
+    loaderOptions,
+    mode
+  });
+
+  let documentOptions = getDocumentOptions();
+
+  // Typed options (or environment variables),
+  // some of which can be overridden per call
+
+  const config = createConfig({
+    ngramOrder,
+    parameterChunkSize,
+    rankingBatchSize,
+    maxResponseLength
+  });
+
+  if (config.ngramOrder < 2) {
+    throw new Error(NGRAM_ORDER_ERROR);
+  }
+
+  // Structured training events and logging
+
+  const reporter = createReporter({
+    onProgress,
+    logger,
+    silent
+  });
+
+  if (!(backoffFactor > 0 && backoffFactor <= 1)) {
+    throw new Error(BACKOFF_FACTOR_ERROR);
+  }
+
+  // Corpus cleaning (off by default). Duplicates
+  // are detected across all documents trained
+
+  const cleaningOptions = clean === true ? {} : clean;
+
+  let cleaner = cleaningOptions && createCleaner(cleaningOptions);
+
+  // PII redaction (off by default)
+
+  const redactor = redact && createRedactor(redact === true ? {} : redact);
+
+  // Splits sequences into tokens (and back)
+
+  const getTokenizer = () => createTokenizer(
+    tokenizerOptions || (mode === MODE_CODE ? MODE_CODE : 'word')
+  );
+
+  let tokenizer = getTokenizer();
+
+  // Code is only normalized to `\n` line breaks
+
+  const normalize = text => (
+    mode === MODE_CODE
+      ? text.replace(MATCH_LINE_BREAKS, '\n')
+      : normalizeText(text)
+  );
+
+  // The first word of a context matches either case
+  // (code is case-sensitive)
+
+  const getCaseVariants = token => new Set(
+    mode === MODE_CODE
+      ? [token]
+      : [token, toLowerFirst(token), toUpperFirst(token)]
+  );
+
+  // In-memory representation of context data
+  // (each instance has its own)
+
+  const Context = {
+    trie: createStorage(storage),
+    trainingTokens: [],
+
+    // token sequences trained from each named
+    // document, so it can be forgotten (only
+    // with `recordDocuments`)
+
+    documents: new Map(),
+    sequences: []
+  };
+
+  /**
+   * toTokens
+   * Split input text into tokens (lists of
+   * tokens are used as is).
+   */
+
+  const toTokens = input => (
+    Array.isArray(input)
+      ? input
+      : tokenizer.encode(normalize(input))
+  );
+
+  /**
+   * ngramSearch
+   * Look up n-gram by token sequence.
+   */
+
+  const ngramSearch = tokens => Context.trie.lookup(tokens);
+
+  /**
+   * contextSearch
+   * Count the continuations of a context (list of
+   * words) anywhere in the training data. The first
+   * word of the context matches either case, so
+   * sentence starts are found mid-sentence and
+   * vice versa.
+   */
+
+  const contextSearch = ([first, ...rest]) => {
+    const continuations = new Map();
+
+    let total = 0;
+
+    const variants = getCaseVariants(first);
+
+    for (const variant of variants) {
+      const node = ngramSearch([variant, ...rest]);
+
+      if (node === undefined) continue;
+
+      total += Context.trie.count(node);
+
+      for (const [token, count] of Context.trie.continuations(node)) {
+        continuations.set(
+          token,
+          (continuations.get(token) || 0) + count
+        );
+      }
+    }
+
+    return {
+      total,
+      continuations
+    };
+  };
+
+  /**
+   * unigramSearch
+   * Get the most frequent tokens overall, and the
+   * vocabulary size. Cached until the context
+   * changes.
+   */
+
+  const unigramSearch = (batchSize = config.rankingBatchSize) => {
+    const { root } = Context.trie;
+    const total = Context.trie.count(root);
+
+    if (
+      unigramCache?.version !== contextVersion ||
+      unigramCache.batchSize !== batchSize
+    ) {
+      const tokens = Context.trie.continuations(root);
+
+      const continuations = new Map(
+        tokens
+          .sort((a, b) => b[1] - a[1] || compareTokens(a[0], b[0]))
+          .slice(0, batchSize)
+      );
+
+      unigramCache = {
+        version: contextVersion,
+        total,
+        batchSize,
+        continuations,
+        vocabularySize: tokens.length
+      };
+    }
+
+    return unigramCache;
+  };
+
+  // Prefixes match tokens regardless of case
+  // (except in code)
+
+  const toPrefixKey = token => (
+    mode === MODE_CODE
+      ? token
+      : token.toLowerCase()
+  );
+
+  /**
+   * prefixSearch
+   * Get the tokens that start with a prefix, and
+   * their counts overall. The vocabulary is kept
+   * sorted until the context changes.
+   */
+
+  const prefixSearch = prefix => {
+    const { root } = Context.trie;
+    const total = Context.trie.count(root);
+
+    if (vocabularyIndex?.version !== contextVersion) {
+      vocabularyIndex = {
+        version: contextVersion,
+        entries: Context.trie.children(root)
+          .map(([token]) => [toPrefixKey(token), token])
+          .sort((a, b) => compareTokens(a[0], b[0]))
+      };
+    }
+
+    const { entries } = vocabularyIndex;
+    const key = toPrefixKey(prefix);
+    const continuations = new Map();
+
+    // binary search for the first match
+
+    let low = 0;
+    let high = entries.length;
+
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+
+      if (entries[middle][0] < key) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    for (
+      let index = low;
+      index < entries.length && entries[index][0].startsWith(key);
+      index++
+    ) {
+      const token = entries[index][1];
+
+      continuations.set(token, Context.trie.childCount(root, token));
+    }
+
+    return {
+      total,
+      continuations
+    };
+  };
+
+  /**
+   * backoffSearch
+   * Rank the continuations of the last tokens of an
+   * input with stupid backoff: when an n-gram is
+   * missing, leading context words are dropped one
+   * at a time, and scores from each lower order are
+   * discounted by `backoffFactor`. Lower orders are
+   * searched until there are `batchSize` candidates,
+   * and unigrams only when no longer n-gram matches.
+   * Only tokens that start with `prefix` are ranked.
+   */
+
+  const backoffSearch = (input, batchSize = config.rankingBatchSize, prefix = '') => {
+    const candidates = new Map();
+    const prefixKey = toPrefixKey(prefix);
+
+    const context = toTokens(input)
+      .slice(1 - config.ngramOrder);
+
+    for (let length = context.length; length >= 0; length--) {
+      if (
+        candidates.size &&
+        (!length || candidates.size >= batchSize)
+      ) {
+        break;
+      }
+
+      const { total, continuations } = length
+        ? contextSearch(context.slice(-length))
+        : prefix ? prefixSearch(prefix) : unigramSearch(batchSize);
+
+      const weight = backoffFactor ** (context.length - length);
+
+      for (const [token, count] of continuations) {
+        if (
+          candidates.has(token) ||
+          !toPrefixKey(token).startsWith(prefixKey)
+        ) {
+          continue;
+        }
+
+        candidates.set(token, {
+          token,
+          count,
+          score: weight * (count / total),
+          order: length + 1
+        });
+      }
+    }
+
+    return [...candidates.values()]
+      .sort((a, b) => b.score - a.score || compareTokens(a.token, b.token));
+  };
+
+  /**
+   * rankedContextSearch
+   * Get the continuations of a context as
+   * `[token, count]` pairs, most frequent first.
+   * Cached until the context changes, as decoding
+   * looks up the same contexts again and again.
+   */
+
+  const rankedContextSearch = tokens => {
+    if (rankedContexts?.version !== contextVersion) {
+      rankedContexts = {
+        version: contextVersion,
+        entries: new Map()
+      };
+    }
+
+    const { entries } = rankedContexts;
+    const key = toNgramKey(tokens);
+
+    if (!entries.has(key)) {
+      const { total, continuations } = contextSearch(tokens);
+
+      if (entries.size >= RANKED_CONTEXT_LIMIT) entries.clear();
+
+      entries.set(key, {
+        total,
+        continuations: [...continuations]
+          .sort((a, b) => b[1] - a[1] || compareTokens(a[0], b[0]))
+      });
+    }
+
+    return entries.get(key);
+  };
+
+  /**
+   * backoffOrders
+   * Get the ranked continuations of the last
+   * tokens of an input one n-gram order at a time,
+   * highest first and ending with the most frequent
+   * unigrams, with the `weight` that discounts
+   * their scores (as in `backoffSearch`). Decoding
+   * stops at the first order with a token it can
+   * use.
+   */
+
+  function* backoffOrders (input) {
+    const context = toTokens(input)
+      .slice(1 - config.ngramOrder);
+
+    for (let length = context.length; length >= 0; length--) {
+      const { total, continuations } = length
+        ? rankedContextSearch(context.slice(-length))
+        : unigramSearch();
+
+      yield {
+        order: length + 1,
+        weight: backoffFactor ** (context.length - length),
+        total,
+        continuations: Array.isArray(continuations)
+          ? continuations
+          : [...continuations]
+      };
+    }
+  }
+
+  /**
+   * getTokenPrediction
+   * Predict the next token or token sequence
+   * (agnostic). Accepts text or a list of tokens,
+   * and a `rankingBatchSize` to override. Reports
+   * the n-gram `order` the prediction came from.
+   */
+
+  const getTokenPrediction = (token, options = {}) => {
+    if (!token?.length) {
+      return {
+        token: '',
+        rankedTokenList: [],
+        frequencies: {},
+        scores: {},
+        order: 0
+      };
+    }
+
+    // ngram search (with backoff)
+
+    const { rankingBatchSize } = withOverrides(config, options);
+
+    const rankedTokens = backoffSearch(token, rankingBatchSize)
+      .slice(0, rankingBatchSize);
+
+    const [highestRankedToken] = rankedTokens;
+
+    if (highestRankedToken) {
+      return {
+        token: highestRankedToken.token,
+        rankedTokenList: rankedTokens.map(({ token }) => token),
+        frequencies: Object.fromEntries(
+          rankedTokens.map(({ token, count }) => [token, count])
+        ),
+        scores: Object.fromEntries(
+          rankedTokens.map(({ token, score }) => [token, score])
+        ),
+        order: highestRankedToken.order
+      };
+    }
+
+    const message = MISSING_NGRAM_ERROR;
+
+    return {
+      error: {
+        message
+      },
+      token: '',
+      rankedTokenList: [],
+      frequencies: {},
+      scores: {},
+      order: 0
+    };
+  };
+
+  /**
+   * createDecoder
+   * Set up the prediction of a sequence of tokens
+   * after an input (continuing `sequence`, if
+   * given), with its stop conditions.
+   */
+
+  const createDecoder = (input, sequence = [], options = {}) => {
+    const sampling = isSampling(options);
+
+    if (sampling) {
+      validateSamplingOptions(options);
+    }
+
+    const { maxResponseLength } = withOverrides(config, options);
+
+    validateStopOptions({
+      maxLength: maxResponseLength,
+      ...options
+    });
+
+    // (by default, n-grams as long as the ones
+    // indexed never repeat, so completions don't
+    // loop)
+
+    const {
+      maxLength = maxResponseLength,
+      minLength = 0,
+      stopAtSentenceEnd = false,
+      noRepeatNgramSize = config.ngramOrder
+    } = options;
+
+    const stop = [].concat(options.stop || []).filter(Boolean);
+    const context = [...toTokens(input), ...sequence];
+
+    // n-grams seen so far (when repeating them is
+    // not allowed)
+
+    const ngrams = toNgramKeys(context, noRepeatNgramSize);
+
+    return {
+      context,
+      sequence: [...sequence],
+      text: decodeText(sequence),
+      done: false,
+      random: createRandom(options.seed),
+      sampling,
+      options,
+      maxLength,
+      minLength,
+      stop,
+      stopLength: Math.max(0, ...stop.map(({ length }) => length)),
+      stopAtSentenceEnd,
+      noRepeatNgramSize,
+      ngrams
+    };
+  };
+
+  /**
+   * decodeStep
+   * Predict the next token of a decoder. Returns
+   * the token and the text it adds, or nothing
+   * once a stop condition is met.
+   */
+
+  const decodeStep = decoder => {
+    const {
+      context,
+      sequence,
+      noRepeatNgramSize,
+      ngrams
+    } = decoder;
+
+    if (decoder.done || sequence.length >= decoder.maxLength) {
+      decoder.done = true;
+
+      return;
+    }
+
+    // take a token from the highest order that has
+    // one which doesn't repeat an n-gram (greedy
+    // decoding stops at the first of them)
+
+    const isAllowed = createRepeatFilter(context, ngrams, noRepeatNgramSize);
+
+    let token;
+
+    for (const { order, weight, total, continuations } of backoffOrders(context)) {
+      if (decoder.sampling) {
+        const candidates = [];
+
+        for (const [candidate, count] of continuations) {
+          if (!isAllowed(candidate)) continue;
+
+          candidates.push({
+            token: candidate,
+            count,
+            score: weight * (count / total),
+            order
+          });
+        }
+
+        token = sampleToken(candidates, decoder.options, decoder.random);
+      } else {
+        token = continuations.find(([candidate]) => isAllowed(candidate))?.[0];
+      }
+
+      if (token) break;
+    }
+
+    if (!token) {
+      decoder.done = true;
+
+      return;
+    }
+
+    context.push(token);
+    sequence.push(token);
+
+    if (noRepeatNgramSize) {
+      ngrams.add(toNgramKey(context.slice(-noRepeatNgramSize)));
+    }
+
+    // the text added is the difference between the
+    // last few tokens decoded with and without the
+    // new one (joining it like the whole sequence,
+    // without decoding all of it again)
+
+    const previousText = decoder.text;
+    const recent = sequence.slice(-3);
+    const decoded = decodeText(recent);
+    const decodedBefore = decodeText(recent.slice(0, -1));
+
+    let text = decoded.startsWith(decodedBefore)
+      ? decoded.slice(decodedBefore.length)
+      : decodeText([token]);
+
+    const canStop = sequence.length >= decoder.minLength;
+
+    // end before the first stop sequence in the
+    // new text (or overlapping the text before it)
+
+    if (canStop && decoder.stop.length) {
+      const fullText = previousText + text;
+      const from = Math.max(0, previousText.length - decoder.stopLength + 1);
+
+      const stopIndex = findStop(fullText, decoder.stop, from);
+
+      if (stopIndex !== -1) {
+        decoder.done = true;
+        decoder.text = fullText.slice(0, stopIndex);
+
+        return {
+          token,
+          text: fullText.slice(previousText.length, Math.max(stopIndex, previousText.length))
+        };
+      }
+    }
+
+    decoder.text = previousText + text;
+
+    if (canStop && decoder.stopAtSentenceEnd && isEndOfSequence(token)) {
+      decoder.done = true;
+    }
+
+    return {
+      token,
+      text
+    };
+  };
+
+  /**
+   * getTokenSequencePrediction
+   * Predict the next sequence of tokens.
+   * Designed for words and phrases. Pass
+   * `temperature`, `topK`, `topP` and/or
+   * `seed` to sample instead of always
+   * taking the highest ranked token, and
+   * stop conditions (`stop`, `stopAtSentenceEnd`,
+   * `minLength`, `maxLength` and
+   * `noRepeatNgramSize`) to control its length.
+   * `rankingBatchSize` and `maxResponseLength`
+   * override the model's configuration.
+   */
+
+  const getTokenSequencePrediction = (input, sequenceLength = 2, options = {}) => {
+    const decoder = createDecoder(input, [], {
+      maxLength: sequenceLength,
+      ...options
+    });
+
+    // get top k sample from getTokenPrediction
+
+    const {
+      rankedTokenList: keyPredictions
+    } = getTokenPrediction(decoder.context, options);
+
+    // predict tokens until a stop condition is met
+
+    // (backoff stops at the first order that matches,
+    // which is also the distribution sampled from)
+
+    while (decodeStep(decoder));
+
+    // return highest ranked completion and highest
+    // ranked next token, along with a top k sample
+    // (and the predicted tokens)
+
+    return {
+      completion: decoder.text,
+      sequenceLength: decoder.maxLength,
+      token: decoder.sequence[0],
+      tokens: decoder.sequence,
+      rankedTokenList: keyPredictions
+    };
+  };
+
+  /**
+   * getCompletions
+   * Complete an input and provide a ranked list
+   * of alternatives. Designed for words and phrases.
+   * Accepts the same sampling options, stop
+   * conditions and configuration overrides as
+   * `getTokenSequencePrediction`.
+   */
+
+  const getCompletions = (input, options = {}) => {
+    const { maxResponseLength } = withOverrides(config, options);
+
+    // get top k sample from getTokenSequencePrediction
+
+    const {
+      completion,
+      token,
+      rankedTokenList
+    } = getTokenSequencePrediction(input, maxResponseLength, options);
+
+    const completions = [
+      completion
+    ];
+
+    // build a top k sample of completion predictions,
+    // each starting with one of the ranked tokens
+
+    // (each alternative gets its own seed so they
+    // don't all draw the same random numbers)
+
+    for (const [index, predictedToken] of rankedTokenList.entries()) {
+      const decoder = createDecoder(input, [predictedToken], {
+        maxLength: maxResponseLength,
+        ...options,
+        ...options.seed !== undefined && {
+          seed: options.seed + index + 1
+        }
+      });
+
+      while (decodeStep(decoder));
+
+      completions.push(decoder.text);
+    }
+
+    // return highest ranked completion and highest
+    // ranked next token, along with a top k sample of
+    // completions
+
+    return {
+      completion,
+      token,
+      rankedTokenList,
+      completions
+    };
+  };
+
+  /**
+   * generateTokens
+   * Predict tokens one at a time, yielding each
+   * with the text it adds to the completion.
+   * Waits a turn of the event loop before each
+   * token, and throws if `signal` is aborted.
+   */
+
+  async function* generateTokens (decoder, signal) {
+    while (!decoder.done) {
+      await nextTurn();
+
+      signal?.throwIfAborted();
+
+      const step = decodeStep(decoder);
+
+      if (step) yield step;
+    }
+  }
+
+  /**
+   * stream
+   * Stream a completion token by token, as an
+   * async iterator of `{ token, text }`, or with
+   * `readable: true`, a Node Readable of text.
+   * Accepts an AbortSignal (`signal`) to cancel,
+   * and the same sampling options and stop
+   * conditions as `getTokenSequencePrediction`.
+   */
+
+  const stream = (input, {
+    readable = false,
+    signal,
+    ...options
+  } = {}) => {
+    const tokens = generateTokens(
+      createDecoder(input, [], options),
+      signal
+    );
+
+    if (!readable) return tokens;
+
+    return Readable.from(
+      (async function* () {
+        for await (const { text } of tokens) yield text;
+      })(),
+      { objectMode: false }
+    );
+  };
+
+  /**
+   * getWordCompletions
+   * Complete the word being typed (the last token
+   * of an input that doesn't end with a space)
+   * with the most likely tokens that start with
+   * it, given the words before it. Pass
+   * `completePhrase: true` to carry on into the
+   * phrase completions of `getCompletions` for the
+   * highest ranked word (with the same sampling
+   * options), which is much slower than ranking
+   * words alone.
+   */
+
+  const getWordCompletions = (input, options = {}) => {
+    const tokens = toTokens(input);
+
+    // in code, the last token can always go on
+    // (e.g. `=` to `===`)
+
+    const isPartial = mode === MODE_CODE || !/\s$/.test(input);
+    const prefix = isPartial ? tokens[tokens.length - 1] || '' : '';
+    const context = isPartial ? tokens.slice(0, -1) : tokens;
+
+    const { rankingBatchSize } = withOverrides(config, options);
+
+    const rankedTokens = backoffSearch(context, rankingBatchSize, prefix)
+      .slice(0, rankingBatchSize);
+
+    const [highestRankedToken] = rankedTokens;
+
+    if (!highestRankedToken) {
+      return {
+        error: {
+          message: MISSING_NGRAM_ERROR
+        },
+        prefix,
+        token: '',
+        rankedTokenList: [],
+        frequencies: {},
+        scores: {},
+        order: 0,
+        completion: '',
+        completions: []
+      };
+    }
+
+    const { token, order } = highestRankedToken;
+
+    // the rest of the word, then the phrase after it
+    // (if asked for)
+
+    const remainder = token.slice(prefix.length);
+
+    const withRemainder = completion => (
+      mode === MODE_CODE
+        ? `${remainder}${completion}`
+        : [remainder, completion].filter(Boolean).join(' ')
+    );
+
+    const {
+      completion,
+      completions
+    } = options.completePhrase
+      ? getCompletions([...context, token], options)
+      : { completion: '', completions: [] };
+
+    return {
+      prefix,
+      token,
+      rankedTokenList: rankedTokens.map(({ token }) => token),
+      frequencies: Object.fromEntries(
+        rankedTokens.map(({ token, count }) => [token, count])
+      ),
+      scores: Object.fromEntries(
+        rankedTokens.map(({ token, score }) => [token, score])
+      ),
+      order,
+      completion: withRemainder(completion),
+      completions: completions.map(withRemainder)
+    };
+  };
+
+  /**
+   * ngramCount
+   * Count the occurrences of a context (list of
+   * words), and of a token following it. The first
+   * word of the context matches either case.
+   */
+
+  const ngramCount = ([first, ...rest], token) => {
+    let total = 0;
+    let count = 0;
+
+    const variants = getCaseVariants(first);
+
+    for (const variant of variants) {
+      const node = ngramSearch([variant, ...rest]);
+
+      if (node === undefined) continue;
+
+      total += Context.trie.count(node);
+      count += Context.trie.childCount(node, token);
+    }
+
+    return {
+      total,
+      count
+    };
+  };
+
+  /**
+   * scoreToken
+   * Score a token following a context with the
+   * same backoff as `getTokenPrediction`. Tokens
+   * never seen in training get a small floor
+   * probability (order 0).
+   */
+
+  const scoreToken = (context, token, unknownProbability) => {
+    for (let length = context.length; length >= 0; length--) {
+      const { total, count } = length
+        ? ngramCount(context.slice(-length), token)
+        : {
+          total: Context.trie.count(Context.trie.root),
+          count: Context.trie.childCount(Context.trie.root, token)
+        };
+
+      if (count) {
+        return {
+          probability: (
+            backoffFactor ** (context.length - length) * (count / total)
+          ),
+          order: length + 1
+        };
+      }
+    }
+
+    return {
+      probability: unknownProbability,
+      order: 0
+    };
+  };
+
+  /**
+   * getWordIndex
+   * Group the vocabulary by bare word (without
+   * punctuation, in lower case) with the tokens
+   * it appears as. Cached until the context
+   * changes.
+   */
+
+  const getWordIndex = () => {
+    const { root } = Context.trie;
+
+    if (wordIndex?.version !== contextVersion) {
+      const words = new Map();
+
+      for (const [token] of Context.trie.children(root)) {
+        const word = toBareWord(token);
+
+        if (!word) continue;
+
+        if (!words.has(word)) words.set(word, []);
+
+        words.get(word).push(token);
+      }
+
+      wordIndex = {
+        version: contextVersion,
+        words
+      };
+    }
+
+    return wordIndex.words;
+  };
+
+  /**
+   * isKnownWord
+   * Check if a word (or each part of a word with
+   * apostrophes or hyphens) was seen in training.
+   */
+
+  const isKnownWord = word => {
+    const words = getWordIndex();
+    const bareWord = toBareWord(word);
+
+    return !bareWord || words.has(bareWord) || bareWord
+      .split(MATCH_WORD_PARTS)
+      .every(part => !part || words.has(part));
+  };
+
+  /**
+   * suggestCorrections
+   * Suggest known words close to a word (by edit
+   * distance, where neighboring keys count half),
+   * ranked by similarity and by how likely they
+   * are after the context (preceding text).
+   */
+
+  const suggestCorrections = (word, context = '', {
+    maxDistance = MAX_EDIT_DISTANCE,
+    count = CORRECTION_COUNT
+  } = {}) => {
+    if (
+      !(maxDistance > 0) ||
+      !(Number.isInteger(count) && count >= 1)
+    ) {
+      throw new Error(CORRECTION_OPTIONS_ERROR);
+    }
+
+    const bareWord = toBareWord(word);
+    const length = [...bareWord].length;
+
+    if (!bareWord) return [];
+
+    const contextTokens = toTokens(context).slice(1 - config.ngramOrder);
+    const suggestions = [];
+
+    for (const [candidate, tokens] of getWordIndex()) {
+      if (Math.abs([...candidate].length - length) > maxDistance) continue;
+
+      const distance = editDistance(bareWord, candidate, maxDistance);
+
+      if (distance > maxDistance) continue;
+
+      // add up the probability of each token the
+      // word appears as (e.g. `man`, `Man` and `man,`)
+
+      const probability = tokens.reduce((sum, token) => (
+        sum + scoreToken(contextTokens, token, 0).probability
+      ), 0);
+
+      suggestions.push({
+        word: matchCase(candidate, word),
+        distance,
+        probability,
+        score: probability * TYPO_PROBABILITY ** distance
+      });
+    }
+
+    return suggestions
+      .sort((a, b) => (
+        b.score - a.score ||
+        a.distance - b.distance ||
+        compareTokens(a.word, b.word)
+      ))
+      .slice(0, count);
+  };
+
+  /**
+   * checkText
+   * Find the words of a text that were never seen
+   * in training, with suggested corrections given
+   * the text before each. Returns the errors and
+   * the text with the best suggestions applied.
+   */
+
+  const checkText = (text, options) => {
+    const errors = [];
+
+    let corrected = '';
+    let offset = 0;
+
+    for (const { 0: word, index } of text.matchAll(MATCH_WORDS)) {
+      if (isKnownWord(word)) continue;
+
+      const suggestions = suggestCorrections(
+        word,
+        text.slice(0, index),
+        options
+      );
+
+      errors.push({
+        word,
+        offset: index,
+        suggestions
+      });
+
+      if (suggestions.length) {
+        corrected += text.slice(offset, index) + suggestions[0].word;
+        offset = index + word.length;
+      }
+    }
+
+    return {
+      errors,
+      corrected: corrected + text.slice(offset)
+    };
+  };
+
+  /**
+   * scoreSequence
+   * Score each token of a text given the tokens
+   * before it (within its sentence). Returns the
+   * per-token probabilities, the total
+   * log-probability and the perplexity.
+   */
+
+  const scoreSequence = text => {
+    const tokens = [];
+
+    let logProbability = 0;
+
+    const unknownProbability = 1 / (
+      Context.trie.count(Context.trie.root) + unigramSearch().vocabularySize + 1
+    );
+
+    for (const sequence of toSequences(text)) {
+      const words = tokenizer.encode(sequence);
+
+      for (let index = 0; index < words.length; index++) {
+        const token = words[index];
+
+        const context = words.slice(
+          Math.max(0, index - config.ngramOrder + 1),
+          index
+        );
+
+        const {
+          probability,
+          order
+        } = scoreToken(context, token, unknownProbability);
+
+        logProbability += Math.log(probability);
+
+        tokens.push({
+          token,
+          probability,
+          logProbability: Math.log(probability),
+          order
+        });
+      }
+    }
+
+    return {
+      tokens,
+      logProbability,
+      perplexity: tokens.length
+        ? Math.exp(-logProbability / tokens.length)
+        : Infinity
+    };
+  };
+
+  /**
+   * perplexity
+   * Get the perplexity of the model on a text,
+   * or on a list of documents (lower is better).
+   */
+
+  const perplexity = async textOrFiles => {
+    if (!Array.isArray(textOrFiles)) {
+      return scoreSequence(textOrFiles).perplexity;
+    }
+
+    let logProbability = 0;
+    let tokenCount = 0;
+
+    for (const { text } of await loadDocuments(textOrFiles, documentOptions)) {
+      const score = scoreSequence(text);
+
+      logProbability += score.logProbability;
+      tokenCount += score.tokens.length;
+    }
+
+    return tokenCount
+      ? Math.exp(-logProbability / tokenCount)
+      : Infinity;
+  };
+
+  /**
+   * getBeamCompletions
+   * Complete an input with beam search, keeping
+   * the `beamWidth` most likely partial sequences
+   * at each step. Returns the `count` best distinct
+   * completions with their cumulative log-probability
+   * (under the backoff scores) and length-normalized
+   * score, highest first. Accepts the `stop`,
+   * `minLength` and `noRepeatNgramSize` stop
+   * conditions, and a `maxResponseLength` to
+   * override.
+   */
+
+  const getBeamCompletions = (input, options = {}) => {
+    const { maxResponseLength } = withOverrides(config, options);
+
+    const {
+      beamWidth = BEAM_WIDTH,
+      count = beamWidth,
+      maxLength = maxResponseLength,
+      lengthPenalty = LENGTH_PENALTY,
+      minLength = 0,
+      noRepeatNgramSize = config.ngramOrder,
+      stop = []
+    } = options;
+
+    if (
+      !(Number.isInteger(beamWidth) && beamWidth >= 1) ||
+      !(Number.isInteger(count) && count >= 1) ||
+      !(Number.isInteger(maxLength) && maxLength >= 1) ||
+      !(lengthPenalty >= 0)
+    ) {
+      throw new Error(BEAM_OPTIONS_ERROR);
+    }
+
+    validateStopOptions({
+      maxLength,
+      minLength,
+      noRepeatNgramSize,
+      stop
+    });
+
+    const stopSequences = [].concat(stop).filter(Boolean);
+    const stopLength = Math.max(0, ...stopSequences.map(({ length }) => length));
+
+    const finished = [];
+
+    const normalize = ({ tokens, logProbability }) => (
+      logProbability / (tokens.length ** lengthPenalty)
+    );
+
+    const inputTokens = toTokens(input);
+
+    let beams = [{
+      tokens: [],
+      logProbability: 0
+    }];
+
+    for (
+      let step = 0;
+      step < maxLength && beams.length && finished.length < count;
+      step++
+    ) {
+      const hypotheses = [];
+
+      // expand each beam with its top candidates
+
+      for (const beam of beams) {
+        const context = [...inputTokens, ...beam.tokens];
+        const isAllowed = createRepeatFilter(
+          context,
+          toNgramKeys(context, noRepeatNgramSize),
+          noRepeatNgramSize
+        );
+
+        // skip tokens that would repeat an n-gram
+
+        const candidates = backoffSearch(context, beamWidth)
+          .filter(({ token }) => isAllowed(token))
+          .slice(0, beamWidth);
+
+        if (!candidates.length) {
+          if (beam.tokens.length) finished.push(beam);
+
+          continue;
+        }
+
+        for (const { token, score } of candidates) {
+          hypotheses.push({
+            tokens: [...beam.tokens, token],
+            logProbability: beam.logProbability + Math.log(score)
+          });
+        }
+      }
 
-const {
-  alphabet,
-  combineDocuments,
-  suffixes,
-  tokenize
-} = require('../../utils');
+      // keep the best hypotheses, setting aside
+      // those that reached the end of a sentence
+      // or a stop sequence
 
-dotenv.config();
+      hypotheses.sort((a, b) => b.logProbability - a.logProbability);
 
-const {
-  PARAMETER_CHUNK_SIZE = 50000,
-  RANKING_BATCH_SIZE = 50,
-  MAX_RESPONSE_LENGTH = 240
-} = process.env;
+      beams = [];
 
-// Tokenizer utils. Designed for words and phrases.
+      for (const hypothesis of hypotheses.slice(0, beamWidth)) {
+        const { tokens } = hypothesis;
 
-const MATCH_PUNCTUATION = new RegExp(/[.,\/#!$%?“”\^&\*;:{}=\_`~()]/g);
-const MATCH_LOWER_UPPER = new RegExp(/([a-z])([A-Z])/g);
-const MATCH_NEW_LINES = new RegExp(/\n/g);
+        const canStop = tokens.length >= minLength;
+        const text = decodeText(tokens);
 
-const FORMAT_PLAIN_TEXT = [
-  /\.\s+|\n|\r|\0/mg,
-  /\s-+\s/mg,
-  /[©|]\s?/mg,
-  /[!(–?$”“…]/mg,
-  /\s{2,}|^\s/mg
-];
+        // (only the text added by the last token, as
+        // earlier stop sequences would have finished it)
 
-const MATCH_TERMINATORS = new RegExp(/([.?!])\s*(?=[A-Z])/g);
-const MATCH_NON_ALPHANUMERIC = new RegExp(/[^a-zA-Z0-9]/);
-const MISSING_NGRAM_ERROR = 'Failed to look up n-gram.';
-const NOTIF_TRAINING = 'Training...';
-const NOTIF_END_OF_STATEMENT = 'End of sequence.';
-const NOTIF_UNKNOWN_TOKEN = 'Skipping unrecognized token.';
-const NOTIF_END_OF_DATA = 'End of training data.';
-const NOTIF_CREATING_CONTEXT = 'Creating context...';
-const DONE = 'Done.';
+        const stopIndex = canStop && stopSequences.length
+          ? findStop(
+            text,
+            stopSequences,
+            Math.max(0, decodeText(tokens.slice(0, -1)).length - stopLength + 1)
+          )
+          : -1;
 
-// Generator function to chunk arrays
-// Use with `PARAMETER_CHUNK_SIZE` for models
-// with many parameters to avoid memory errors
+        if (stopIndex !== -1) {
+          hypothesis.completion = text.slice(0, stopIndex);
+        }
 
-function* chunkArray (array, chunkSize) {
-  for (let i = 0; i < array.length; i += chunkSize) {
-    yield array.slice(i, i + chunkSize);
-  }
-}
+        const isFinished = canStop && (
+          stopIndex !== -1 ||
+          isEndOfSequence(tokens[tokens.length - 1])
+        );
+
+        if (isFinished) {
+          finished.push(hypothesis);
+        } else {
+          beams.push(hypothesis);
+        }
+      }
+    }
 
-// In-memory representation of context data
+    // rank finished and unfinished (max length)
+    // hypotheses, removing duplicates
 
-const Context = {
-  trie: {},
-  tokens: [],
-  sequences: []
-};
+    const completions = [];
+    const seen = new Set();
 
-module.exports = () => {
-  let trainingText = '';
+    const ranked = [...finished, ...beams]
+      .map(hypothesis => ({
+        completion: hypothesis.completion ?? decodeText(hypothesis.tokens),
+        logProbability: hypothesis.logProbability,
+        score: normalize(hypothesis)
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    for (const hypothesis of ranked) {
+      if (seen.has(hypothesis.completion)) continue;
+
+      seen.add(hypothesis.completion);
+      completions.push(hypothesis);
+
+      if (completions.length === count) break;
+    }
+
+    return {
+      completion: completions[0]?.completion || '',
+      completions
+    };
+  };
 
   /**
-   * ngramSearch
-   * Look up n-gram by token sequence.
+   * insertSequence
+   * Add a sequence of tokens to the trie from
+   * every position, incrementing the count of
+   * each n-gram up to `ngramOrder` tokens.
    */
 
-  const ngramSearch = input => (
-    input
-      .split(/ /)
-      .reduce((a, b) => a?.[b], Context.trie) || {}
-  );
+  const insertSequence = (words, trie = Context.trie) => {
+    trie.insert(words, config.ngramOrder);
+
+    if (trie === Context.trie) contextVersion++;
+  };
 
   /**
-   * getTokenPrediction
-   * Predict the next token or token sequence
-   * (agnostic).
+   * toSequences
+   * Split text into plain text sequences
+   * (sentences). In code mode, the whole text
+   * is one sequence.
    */
 
-  const getTokenPrediction = token => {
-    if (!token) {
-      return {
-        token: '',
-        rankedTokenList: []
-      };
+  const toSequences = text => {
+    if (mode === MODE_CODE) {
+      return [normalize(text)].filter(sequence => sequence.trim());
     }
 
-    // ngram search
+    return normalizeText(text)
+      .trim()
+      .replace(/\n/g, ' ')
+      .replace(MATCH_TERMINATORS, '$1|')
+      .split('|')
+      .map(toPlainText);
+  };
 
-    const rankedTokens = Object.keys(
-      ngramSearch(
-        token.replace(
-          token.charAt(0),
-          token.charAt(0).toUpperCase()
-        )
-      )
-    );
+  /**
+   * preprocess
+   * Split text into sequences, redacting PII
+   * with the redactor, then stripping
+   * boilerplate and filtering sequences with
+   * the cleaner (if any).
+   */
 
-    const highestRankedToken = rankedTokens[rankedTokens.length - 1];
+  const preprocess = (text, options) => {
+    const { text: redactedText, counts: redacted } = redactor
+      ? redactor.redact(text)
+      : { text };
 
-    if (highestRankedToken) {
+    if (!cleaner) {
       return {
-        token: highestRankedToken,
-        rankedTokenList: rankedTokens.slice(-RANKING_BATCH_SIZE)
+        sequences: toSequences(redactedText),
+        redacted
       };
     }
 
-    const message = MISSING_NGRAM_ERROR;
+    const stripped = cleaner.stripBoilerplate(redactedText);
+
+    const {
+      sequences,
+      removed
+    } = cleaner.filterSequences(toSequences(stripped.text), options);
 
     return {
-      error: {
-        message
-      },
-      token: '',
-      rankedTokenList: []
+      sequences,
+      redacted,
+      removed: {
+        boilerplateLines: stripped.removed,
+        ...removed
+      }
     };
   };
 
   /**
-   * getTokenSequencePrediction
-   * Predict the next sequence of tokens.
-   * Designed for words and phrases.
+   * prepareDocument
+   * Get the name and sequences of a document
+   * (text, or `{ name, text }`) to train, adding
+   * what was redacted and cleaned to the training
+   * report.
    */
 
-  const getTokenSequencePrediction = (input, sequenceLength = 2) => {
-    const sequence = [];
+  const prepareDocument = document => {
+    const { name, text } = typeof document === 'string'
+      ? { text: document }
+      : document;
 
-    let result = input;
+    const { sequences, redacted, removed } = preprocess(text);
 
-    // get top k sample from getTokenPrediction
+    if (redacted || removed) {
+      trainingReport.documents.push({
+        name,
+        sequences: sequences.length,
+        ...redacted && { redacted },
+        ...removed && { removed }
+      });
+    }
 
-    const {
-      rankedTokenList: keyPredictions
-    } = getTokenPrediction(input);
+    for (const type of Object.keys(redacted || {})) {
+      trainingReport.redacted[type] = (
+        (trainingReport.redacted[type] || 0) + redacted[type]
+      );
+    }
 
-    // iterate over each token prediction, deriving a
-    // new sequence prediction for each token
+    for (const reason of Object.keys(removed || {})) {
+      trainingReport.removed[reason] += removed[reason];
+    }
+
+    return {
+      name,
+      sequences
+    };
+  };
 
-    for (let i = 0; i < sequenceLength; i++) {
-      const {
-        token: prediction
-      } = getTokenPrediction(result);
+  /**
+   * insertDocumentSequence
+   * Add a sequence of tokens to the trie,
+   * recording it under the name of the document
+   * it came from (if any, with `recordDocuments`).
+   */
 
-      if (prediction) {
-        const sanitizedPrediction = prediction
-          .replace(/\\n/g, ' ')
-          .trim();
+  const insertDocumentSequence = (name, tokens) => {
+    insertSequence(tokens);
 
-        result += ` ${sanitizedPrediction}`;
+    if (!recordDocuments || name === undefined) return;
 
-        sequence.push(sanitizedPrediction);
-      }
+    if (!Context.documents.has(name)) {
+      Context.documents.set(name, []);
     }
 
-    // remove duplicates and extra whitespace
+    Context.documents.get(name).push(tokens);
+  };
 
-    result = [...new Set(sequence)]
-      .join(' ')
-      .trim();
+  /**
+   * getTrainingReport
+   * Get what the redaction and cleaning stages
+   * replaced in and removed from each document
+   * trained, and in total.
+   */
 
-    // return highest ranked completion and highest
-    // ranked next token, along with a top k sample
+  const getTrainingReport = () => trainingReport;
 
-    return {
-      completion: result,
-      sequenceLength,
-      token: sequence[0],
-      rankedTokenList: keyPredictions
-    };
-  };
+  /**
+   * getConfig
+   * Get the model's resolved configuration.
+   */
+
+  const getConfig = () => ({ ...config });
 
   /**
-   * getCompletions
-   * Complete an input and provide a ranked list
-   * of alternatives. Designed for words and phrases.
+   * createContext
+   * Create model components in memory. When
+   * individual documents are given (texts or
+   * `{ name, text }`), each is split separately
+   * so sequences never span two documents.
+   * Returns the number of tokens counted, and of
+   * unknown tokens (with characters other than
+   * letters, numbers and punctuation).
    */
 
-  const getCompletions = input => {
+  const createContext = (documents = [trainingText]) => {
+    // Store current context in memory as a trie
 
-    // get top k sample from getTokenSequencePrediction
+    reporter.log(NOTIF_CREATING_CONTEXT);
 
-    const {
-      completion,
-      token,
-      rankedTokenList
-    } = getTokenSequencePrediction(input, MAX_RESPONSE_LENGTH);
+    // split (and clean) sequences
 
-    const completions = [
-      completion
-    ];
+    const preparedDocuments = documents.map(prepareDocument);
+
+    Context.sequences = preparedDocuments.flatMap(({ sequences }) => sequences);
+
+    // trainable tokenizers learn from the first
+    // sequences trained
+
+    tokenizer.train?.(Context.sequences);
 
-    // build a top k sample of completion predictions
+    // keep reference in memory (reporting the
+    // percent of sequences counted)
 
-    for (const predictedToken of rankedTokenList) {
-      const {
-        completion: prediction
-      } = getTokenSequencePrediction(`${input} ${predictedToken}`, MAX_RESPONSE_LENGTH);
+    const reportProgress = reporter.createPercentReporter(
+      Context.sequences.length
+    );
+
+    let count = 0;
+    let tokenCount = 0;
+    let unknownTokenCount = 0;
+
+    reportProgress(count);
+
+    // count n-grams of each document's sequences
+    // in chunks
 
-      completions.push(`${predictedToken} ${prediction}`);
+    for (const { name, sequences } of preparedDocuments) {
+      for (const chunk of chunkArray(sequences, config.parameterChunkSize)) {
+        for (const sequence of chunk) {
+          const tokens = tokenizer.encode(sequence);
+
+          tokenCount += tokens.length;
+          unknownTokenCount += tokens.filter(token => (
+            MATCH_UNKNOWN_CHARACTER.test(token)
+          )).length;
+
+          insertDocumentSequence(name, tokens);
+          reportProgress(++count);
+        }
+      }
     }
 
-    // return highest ranked completion and highest
-    // ranked next token, along with a top k sample of
-    // completions
+    reporter.log(DONE);
 
     return {
-      completion,
-      token,
-      rankedTokenList,
-      completions
+      tokens: tokenCount,
+      unknownTokens: unknownTokenCount
     };
   };
 
   /**
-   * createContext
-   * Create model components in memory.
+   * train
+   * Rank bigrams in a trie.
+   * Designed for words and phrases.
    */
 
-  const createContext = () => {
-    // Store current context in memory as a trie
+  const train = async dataset => {
+    const { name, files } = dataset;
 
-    console.log(NOTIF_CREATING_CONTEXT);
+    const startTime = Date.now();
 
-    // split sequences
+    reporter.emit(EVENT_STARTED, { dataset: name }, NOTIF_TRAINING);
+
+    const documents = await loadDocuments(files, {
+      ...documentOptions,
+      onDocument: (document, index, total) => {
+        reporter.emit(EVENT_DOCUMENT_LOADED, {
+          dataset: name,
+          document: document.name,
+          index,
+          total,
+          characters: document.text.length
+        });
+      }
+    });
 
-    Context.sequences = trainingText.replace(/\n/g, ' ')
-      .replace(MATCH_TERMINATORS, '$1|')
-      .split('|')
-      .map(toPlainText);
+    trainingText = documents
+      .map(({ text }) => text)
+      .join('\n');
 
-    // create n-grams of all sequences
+    // Contextualize (counting the tokens encoded)
 
-    const ngrams = Context.sequences.map(sequence => {
-      let cursor;
+    const { tokens, unknownTokens } = createContext(documents);
 
-      const words = sequence.split(' ');
+    reporter.emit(EVENT_STATS, {
+      dataset: name,
+      documents: documents.length,
+      sequences: Context.sequences.length,
+      tokens,
+      unknownTokens,
+      vocabularySize: Context.trie.children(Context.trie.root).length
+    });
 
-      const ngram = words.reduce((a, b) => {
-        if (typeof(cursor) === 'object') {
-          cursor = cursor[b] = {};
-        } else {
-          cursor = a[b] = {};
-        }
+    const duration = (Date.now() - startTime) / 1000;
 
-        return a;
-      }, {});
+    reporter.emit(
+      EVENT_FINISHED,
+      { dataset: name, duration },
+      `Training completed in ${duration} seconds.`
+    );
+  };
 
-      return ngram;
-    });
+  /**
+   * ingest
+   * Provide new document text.
+   */
 
-    // deep merge all n-gram sequences
+  const ingest = text => {
+    trainingText = text;
+    Context.trainingTokens = trainingText.split(' ');
+  };
 
-    const ngramMap = (
-      chunkArray(ngrams, PARAMETER_CHUNK_SIZE)
-    );
+  /**
+   * learnDocument
+   * Add the n-gram counts of a document (text,
+   * or `{ name, text }`) to the trained context.
+   */
 
-    // keep reference in memory
+  const learnDocument = document => {
+    const { name, sequences } = prepareDocument(document);
 
-    for (const ngram of ngramMap) {
-      Context.trie = merge(Context.trie, ...ngram);
+    for (const sequence of sequences) {
+      insertDocumentSequence(name, tokenizer.encode(sequence));
     }
+  };
+
+  /**
+   * learn
+   * Add the n-gram counts of new text to the
+   * trained context in place (no retraining).
+   */
+
+  const learn = text => learnDocument(text);
+
+  /**
+   * learnFiles
+   * Add the n-gram counts of new documents to
+   * the trained context in place.
+   */
 
-    console.log(DONE);
+  const learnFiles = async files => {
+    for (const document of await loadDocuments(files, documentOptions)) {
+      learnDocument(document);
+    }
   };
 
   /**
-   * train
-   * Rank bigrams in a trie.
-   * Designed for words and phrases.
+   * unrecordSequences
+   * Remove sequences of tokens from the recorded
+   * documents (once each, from the first document
+   * that has them).
    */
 
-  const train = async dataset => {
-    const { name, files } = dataset;
+  const unrecordSequences = sequences => {
+    const remaining = new Map();
 
-    const startTime = Date.now();
+    for (const tokens of sequences) {
+      const key = toNgramKey(tokens);
 
-    console.log(NOTIF_TRAINING);
+      remaining.set(key, (remaining.get(key) || 0) + 1);
+    }
+
+    for (const [name, recorded] of Context.documents) {
+      Context.documents.set(name, recorded.filter(tokens => {
+        const key = toNgramKey(tokens);
 
-    trainingText = await combineDocuments(files);
+        if (!remaining.get(key)) return true;
 
-    // 1. Tokenize
+        remaining.set(key, remaining.get(key) - 1);
+
+        return false;
+      }));
+    }
+  };
 
-    Context.trainingTokens = tokenize(trainingText);
+  /**
+   * unlearn
+   * Subtract the n-gram counts of text that was
+   * trained (or learned) from the context in
+   * place, pruning n-grams that no longer occur.
+   * Throws if the text was not part of the
+   * training data. Cleaned text is only removed
+   * exactly when deduplication is off.
+   */
 
-    const tokens = [...Context.trainingTokens];
+  const unlearn = text => {
+    const trie = createStorage(storage);
 
-    let maxNextWordFrequency = 0;
-    let nextWordFrequencyIndexStart = 0;
+    const { sequences } = preprocess(text, {
+      deduplicate: false
+    });
 
-    // 2. Analyze
+    const encodedSequences = sequences.map(sequence => tokenizer.encode(sequence));
 
-    for (let index = 0; index < tokens.length; index++) {
-      const token = tokens[index];
+    for (const tokens of encodedSequences) {
+      insertSequence(tokens, trie);
+    }
 
-      if (!token) continue;
+    // subtract counts (after verifying every
+    // n-gram) and prune empty branches
 
-      // End statement on punctuation
+    if (!Context.trie.subtract(trie)) {
+      throw new Error(UNLEARN_ERROR);
+    }
 
-      if (token.match(MATCH_PUNCTUATION)) {
-        console.log(NOTIF_END_OF_STATEMENT);
+    contextVersion++;
 
-        continue;
-      }
+    // the sequences unlearned aren't forgotten
+    // again with their document
 
-      // Skip unparsable tokens
+    unrecordSequences(encodedSequences);
+  };
 
-      if (MATCH_NON_ALPHANUMERIC.test(token)) {
-        console.log(NOTIF_UNKNOWN_TOKEN);
+  /**
+   * unlearnFiles
+   * Subtract the n-gram counts of documents
+   * from the context in place.
+   */
 
-        continue;
+  const unlearnFiles = async files => {
+    for (const { name, text } of await loadDocuments(files, documentOptions)) {
+      try {
+        unlearn(text);
+      } catch (error) {
+        throw new Error(`${error.message} (${name})`);
       }
+    }
+  };
 
-      const nextToken = tokens[index + 1];
+  /**
+   * forget
+   * Remove a trained (or learned) document's
+   * contribution from the context by name, as if
+   * it was never trained. Subtracts the sequences
+   * that were recorded when it was trained (with
+   * `recordDocuments`), so its source isn't
+   * needed. Throws when cleaning removes
+   * duplicates, as sequences of other documents
+   * may have been dropped as duplicates of it.
+   */
 
-      // Ensure next token exists
+  const forget = name => {
+    if (cleaningOptions && cleaningOptions.deduplicate !== false) {
+      throw new Error(FORGET_CLEANING_ERROR);
+    }
 
-      if (!nextToken) {
-        console.log(NOTIF_END_OF_DATA);
+    const sequences = Context.documents.get(name);
 
-        continue;
-      }
+    if (!sequences) {
+      throw new Error(
+        recordDocuments || Context.documents.size
+          ? `${UNTRAINED_DOCUMENT_ERROR} (${name})`
+          : UNRECORDED_DOCUMENTS_ERROR
+      );
     }
 
-    console.log(
-      `Training completed in ${(Date.now() - startTime) / 1000} seconds.`
+    const trie = createStorage(storage);
+
+    for (const tokens of sequences) {
+      insertSequence(tokens, trie);
+    }
+
+    if (!Context.trie.subtract(trie)) {
+      throw new Error(`${UNLEARN_ERROR} (${name})`);
+    }
+
+    Context.documents.delete(name);
+    contextVersion++;
+  };
+
+  /**
+   * encodeDocuments
+   * Encode the recorded sequences of each document
+   * as lists of vocabulary indices (adding tokens
+   * missing from the vocabulary).
+   */
+
+  const encodeDocuments = vocabulary => {
+    const indices = new Map(vocabulary.map((token, index) => [token, index]));
+
+    const toIndex = token => {
+      if (!indices.has(token)) {
+        indices.set(token, vocabulary.push(token) - 1);
+      }
+
+      return indices.get(token);
+    };
+
+    return Object.fromEntries(
+      [...Context.documents].map(([name, sequences]) => [
+        name,
+        sequences.map(tokens => tokens.map(toIndex))
+      ])
     );
+  };
 
-    // 3. Contextualize
+  /**
+   * save
+   * Serialize the trained context to a
+   * versioned, gzipped model file. Pass
+   * `{ documents: true }` to include the recorded
+   * documents, so they can be forgotten after
+   * loading it (this stores their tokens, so
+   * keep such files private).
+   */
+
+  const save = async (path, options = {}) => {
+    const { vocabulary, nodes } = Context.trie.encode();
+
+    const documents = options.documents
+      ? encodeDocuments(vocabulary)
+      : undefined;
+
+    const model = JSON.stringify({
+      format: MODEL_FILE_FORMAT,
+      version: MODEL_FILE_VERSION,
+      ngramOrder: config.ngramOrder,
+      mode,
+      tokenizer: tokenizer.toJSON?.(),
+      vocabulary,
+      nodes,
+      documents
+    });
 
-    createContext();
+    await fs.writeFile(path, zlib.gzipSync(model));
   };
 
   /**
-   * ingest
-   * Provide new document text.
+   * load
+   * Restore a context from a model file
+   * created by `save` (skips training).
    */
 
-  const ingest = text => {
-    trainingText = text;
-    Context.trainingTokens = trainingText.split(' ');
+  const load = async path => {
+    let model;
+
+    try {
+      model = JSON.parse(
+        zlib.gunzipSync(await fs.readFile(path)).toString()
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') throw error;
+
+      throw new Error(`${MODEL_FORMAT_ERROR} (${path})`);
+    }
+
+    if (model?.format !== MODEL_FILE_FORMAT) {
+      throw new Error(`${MODEL_FORMAT_ERROR} (${path})`);
+    }
+
+    if (model.version !== MODEL_FILE_VERSION) {
+      throw new Error(
+        `${MODEL_VERSION_ERROR} Expected version ${MODEL_FILE_VERSION}, got ${model.version} (${path}).`
+      );
+    }
+
+    if (
+      !Number.isInteger(model.ngramOrder) ||
+      !Array.isArray(model.vocabulary) ||
+      !Array.isArray(model.nodes)
+    ) {
+      throw new Error(`${MODEL_FORMAT_ERROR} (${path})`);
+    }
+
+    config.ngramOrder = model.ngramOrder;
+    mode = model.mode || MODE_TEXT;
+    documentOptions = getDocumentOptions();
+
+    if (model.tokenizer) {
+      tokenizer = createTokenizer(model.tokenizer);
+    }
+
+    Context.trie = createStorage(storage, model);
+    contextVersion++;
+    unigramCache = null;
+    vocabularyIndex = null;
+    wordIndex = null;
+    rankedContexts = null;
+
+    // (model files saved before documents were
+    // recorded have none)
+
+    Context.documents = new Map(
+      Object.entries(model.documents || {}).map(([name, sequences]) => [
+        name,
+        sequences.map(indices => indices.map(index => model.vocabulary[index]))
+      ])
+    );
+  };
+
+  /**
+   * dispose
+   * Release the context held by this
+   * instance.
+   */
+
+  const dispose = () => {
+    trainingText = '';
+
+    Context.trie = createStorage(storage);
+    contextVersion++;
+    Context.trainingTokens = [];
+    Context.sequences = [];
+    Context.documents = new Map();
+
+    cleaner = cleaningOptions && createCleaner(cleaningOptions);
+    tokenizer = getTokenizer();
+    unigramCache = null;
+    vocabularyIndex = null;
+    wordIndex = null;
+    rankedContexts = null;
+    trainingReport = createReport();
   };
 
   /**
    * toPlainText
    * Transform text to a plain format.Capitalizes
    * the first token of sequences, removing certain
-   * special characters, new lines, etc.
+   * special characters, new lines, etc. Letters of
+   * any script are kept.
    */
 
-  const toPlainText = text => text
+  const toPlainText = text => normalizeText(text)
     .replace(
       text.charAt(0),
       text.charAt(0).toUpperCase()
@@ -365,14 +2268,76 @@ module.exports = () => {
     .replace(FORMAT_PLAIN_TEXT[3], ' ')
     .replace(FORMAT_PLAIN_TEXT[4], ' ');
 
+  /**
+   * decodeText
+   * Decode predicted tokens into completion text
+   * (code is decoded as is).
+   */
+
+  const decodeText = tokens => {
+    const text = tokenizer.decode(tokens);
+
+    if (mode === MODE_CODE) return text;
+
+    return text.replace(/\\n/g, ' ');
+  };
+
+  /**
+   * isEndOfSequence
+   * Check whether a token ends a sequence (a
+   * sentence, or a line in code mode).
+   */
+
+  const isEndOfSequence = token => (
+    mode === MODE_CODE
+      ? MATCH_END_OF_LINE.test(token)
+      : MATCH_END_OF_SEQUENCE.test(token)
+  );
+
+  /**
+   * encode
+   * Split text into tokens with the model's
+   * tokenizer.
+   */
+
+  const encode = text => toTokens(text);
+
+  /**
+   * decode
+   * Join tokens into text with the model's
+   * tokenizer.
+   */
+
+  const decode = tokens => tokenizer.decode(tokens);
+
   // Phrase API
 
   return {
     ingest,
     train,
+    learn,
+    learnFiles,
+    unlearn,
+    unlearnFiles,
+    forget,
+    save,
+    load,
+    dispose,
     createContext,
+    getTrainingReport,
+    getConfig,
     getTokenPrediction,
     getTokenSequencePrediction,
-    getCompletions
+    getCompletions,
+    getWordCompletions,
+    getBeamCompletions,
+    stream,
+    scoreSequence,
+    perplexity,
+    suggestCorrections,
+    checkText,
+    toSequences,
+    encode,
+    decode
   };
 };
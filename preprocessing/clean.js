@@ -0,0 +1,293 @@
+// Known boilerplate. Project Gutenberg books keep
+// only the text between the start and end markers.
+
+const MATCH_GUTENBERG_START = new RegExp(/^.*\*{3}\s*START OF (THE|THIS) PROJECT GUTENBERG.*$/im);
+const MATCH_GUTENBERG_END = new RegExp(/^.*(\*{3}\s*END OF (THE|THIS) PROJECT GUTENBERG|End of (the )?Project Gutenberg).*$/im);
+
+const BOILERPLATE_LINES = [
+  /^\s*(copyright\b|©|\(c\)\s*\d{4}).*/i,
+  /^\s*all rights reserved\.?\s*$/i,
+  /^\s*(produced|prepared|transcribed) by\b.*/i,
+  /^\s*transcriber'?s note.*/i,
+  /^\s*this (e-?book|work) is (licensed|in the public domain)\b.*/i,
+  /^\s*isbn[\s:-]*[\dxX-]{10,}.*/i,
+  /^\s*(https?:\/\/|www\.)\S+\s*$/i
+];
+
+const MATCH_CONTENTS_HEADING = new RegExp(/^\s*(table of )?contents\.?\s*$/i);
+
+// Entries of a table of contents start with a
+// numeral (e.g. `IV.`, `3)`) or "Chapter", or end
+// with a page number after dot leaders
+
+const MATCH_CONTENTS_ENTRY = new RegExp(/^\s*((\d+|[ivxlc]+)[.):]\s|chapter\b)|\.{2,}\s*(\d+|[ivxlc]+)\s*$/i);
+
+// Find the last line of a table of contents that
+// starts after a heading. Entries may be separated
+// by blank lines, and the first other line ends
+// it (so prose right after it is kept)
+
+const findContentsEnd = (lines, heading) => {
+  let end = heading;
+
+  for (let index = heading + 1; index < lines.length; index++) {
+    if (!lines[index].trim()) continue;
+
+    if (!MATCH_CONTENTS_ENTRY.test(lines[index])) break;
+
+    end = index;
+  }
+
+  return end;
+};
+
+// Normalize a sequence to compare it with others
+// (ignores case, punctuation and numbers)
+
+const MATCH_NON_WORD = new RegExp(/[^\p{L}\s]+/gu);
+
+const toWords = sequence => (
+  sequence
+    .toLowerCase()
+    .replace(MATCH_NON_WORD, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+// Near-duplicate candidates are found by their first
+// and last words, comparing with up to this many
+// sequences per bucket
+
+const BUCKET_WORDS = 3;
+const MAX_BUCKET_SIZE = 50;
+
+const jaccard = (a, b) => {
+  let intersection = 0;
+
+  for (const word of a) {
+    if (b.has(word)) intersection++;
+  }
+
+  return intersection / (a.size + b.size - intersection);
+};
+
+const DEFAULT_OPTIONS = {
+  boilerplate: true,
+  patterns: [],
+  deduplicate: true,
+  nearDuplicates: true,
+  similarity: 0.9,
+  minWords: 2,
+  maxWords: 250
+};
+
+const CLEANING_OPTIONS_ERROR = 'Invalid cleaning options. Expected 0 < similarity <= 1 and integers 0 <= minWords <= maxWords.';
+
+/**
+ * Create a corpus cleaner. Strips boilerplate
+ * (license headers and footers, tables of contents
+ * and user-supplied `patterns`) from documents, and
+ * filters sequences that are duplicates (exact or
+ * near) of earlier ones, or shorter than `minWords`
+ * or longer than `maxWords`. Earlier sequences are
+ * remembered across documents.
+ */
+
+module.exports = (options = {}) => {
+  const {
+    boilerplate,
+    patterns,
+    deduplicate,
+    nearDuplicates,
+    similarity,
+    minWords,
+    maxWords
+  } = {
+    ...DEFAULT_OPTIONS,
+    ...options
+  };
+
+  if (
+    !(similarity > 0 && similarity <= 1) ||
+    !(Number.isInteger(minWords) && minWords >= 0) ||
+    !(Number.isInteger(maxWords) && maxWords >= minWords)
+  ) {
+    throw new Error(CLEANING_OPTIONS_ERROR);
+  }
+
+  const seen = new Set();
+  const seenWords = new Set();
+  const buckets = new Map();
+
+  /**
+   * stripBoilerplate
+   * Remove boilerplate from a document. Returns the
+   * text and the number of lines removed.
+   */
+
+  const stripBoilerplate = text => {
+    let lines = text.split(/\r?\n/);
+
+    const lineCount = lines.length;
+
+    if (boilerplate) {
+      const start = lines.findIndex(line => MATCH_GUTENBERG_START.test(line));
+
+      if (start !== -1) {
+        lines = lines.slice(start + 1);
+      }
+
+      const end = lines.findIndex(line => MATCH_GUTENBERG_END.test(line));
+
+      if (end !== -1) {
+        lines = lines.slice(0, end);
+      }
+
+      // skip tables of contents and boilerplate lines
+
+      const kept = [];
+
+      for (let index = 0; index < lines.length; index++) {
+        if (MATCH_CONTENTS_HEADING.test(lines[index])) {
+          index = findContentsEnd(lines, index);
+
+          continue;
+        }
+
+        if (!BOILERPLATE_LINES.some(pattern => pattern.test(lines[index]))) {
+          kept.push(lines[index]);
+        }
+      }
+
+      lines = kept;
+    }
+
+    let result = lines.join('\n');
+
+    for (const pattern of patterns) {
+      result = result.replace(
+        new RegExp(pattern, pattern.flags?.includes('g') ? pattern.flags : `${pattern.flags || ''}g`),
+        ''
+      );
+    }
+
+    return {
+      text: result,
+      removed: lineCount - result.split('\n').length
+    };
+  };
+
+  /**
+   * isNearDuplicate
+   * Compare a sequence's words with earlier sequences
+   * that start or end with the same words.
+   */
+
+  const isNearDuplicate = words => {
+    const wordSet = new Set(words);
+
+    const keys = [
+      `^${words.slice(0, BUCKET_WORDS).join(' ')}`,
+      `$${words.slice(-BUCKET_WORDS).join(' ')}`
+    ];
+
+    let duplicate = false;
+
+    for (const key of keys) {
+      const bucket = buckets.get(key) || [];
+
+      duplicate = duplicate || bucket.some(other => (
+        jaccard(wordSet, other) >= similarity
+      ));
+
+      bucket.push(wordSet);
+
+      if (bucket.length > MAX_BUCKET_SIZE) bucket.shift();
+
+      buckets.set(key, bucket);
+    }
+
+    return duplicate;
+  };
+
+  /**
+   * filterSequences
+   * Remove duplicate, too short and too long
+   * sequences. Returns the sequences kept and
+   * the number removed for each reason. Pass
+   * `{ deduplicate: false }` to only filter by
+   * length (sequences aren't remembered).
+   */
+
+  const filterSequences = (sequences, options = {}) => {
+    const remember = deduplicate && options.deduplicate !== false;
+
+    const kept = [];
+
+    const removed = {
+      duplicates: 0,
+      nearDuplicates: 0,
+      tooShort: 0,
+      tooLong: 0
+    };
+
+    for (const sequence of sequences) {
+      const tokens = sequence.split(' ').filter(Boolean);
+      const { length } = tokens;
+
+      if (!length) continue;
+
+      if (length < minWords) {
+        removed.tooShort++;
+
+        continue;
+      }
+
+      if (length > maxWords) {
+        removed.tooLong++;
+
+        continue;
+      }
+
+      if (remember) {
+        const key = tokens.join(' ');
+
+        if (seen.has(key)) {
+          removed.duplicates++;
+
+          continue;
+        }
+
+        seen.add(key);
+
+        if (nearDuplicates) {
+          const words = toWords(sequence);
+          const normalized = words.join(' ');
+
+          if (
+            words.length &&
+            (seenWords.has(normalized) || isNearDuplicate(words))
+          ) {
+            removed.nearDuplicates++;
+
+            continue;
+          }
+
+          seenWords.add(normalized);
+        }
+      }
+
+      kept.push(sequence);
+    }
+
+    return {
+      sequences: kept,
+      removed
+    };
+  };
+
+  return {
+    stripBoilerplate,
+    filterSequences
+  };
+};
@@ -0,0 +1,10 @@
+const createCleaner = require('./clean');
+const createRedactor = require('./redact');
+
+// Preprocessing stages, applied to document text
+// before it's split into sequences and counted
+
+module.exports = {
+  createCleaner,
+  createRedactor
+};
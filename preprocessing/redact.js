@@ -0,0 +1,115 @@
+// Built-in PII patterns by placeholder name, in the
+// order they're applied (so card numbers aren't
+// mistaken for phone numbers, etc.)
+
+const PII_PATTERNS = {
+  EMAIL: /[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}/gi,
+  CARD: /(?<!\d)\d([ -]?\d){12,18}(?!\d)/g,
+  SSN: /(?<!\d)\d{3}-\d{2}-\d{4}(?!\d)/g,
+  IP: /(?<![\d.])((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.]\d)/g,
+  PHONE: /(?<![\w+])(\+\d{1,3}[\s.-]?)?(\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}(?!\d)/g
+};
+
+const REDACTION_OPTIONS_ERROR = `Invalid redaction options. Expected types from ${Object.keys(PII_PATTERNS).join(', ')} and patterns of regular expressions by name.`;
+
+// Card numbers must pass the Luhn checksum,
+// which rules out most other long numbers
+
+const isCardNumber = match => {
+  const digits = match.replace(/\D/g, '');
+
+  let sum = 0;
+
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+
+    if (index % 2) {
+      digit *= 2;
+
+      if (digit > 9) digit -= 9;
+    }
+
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+const VALIDATORS = {
+  CARD: isCardNumber
+};
+
+// Match every occurrence of a pattern
+
+const toGlobal = pattern => (
+  pattern instanceof RegExp
+    ? new RegExp(pattern, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`)
+    : new RegExp(pattern, 'g')
+);
+
+/**
+ * Create a PII redactor. Replaces email addresses,
+ * card numbers, social security numbers, IP
+ * addresses and phone numbers (or the given
+ * `types`), then user-supplied `patterns` (by
+ * name), with placeholder tokens such as
+ * `<EMAIL>`.
+ */
+
+module.exports = ({
+  types = Object.keys(PII_PATTERNS),
+  patterns = {}
+} = {}) => {
+  if (
+    !Array.isArray(types) ||
+    types.some(type => !PII_PATTERNS[type]) ||
+    typeof patterns !== 'object' ||
+    Object.values(patterns).some(pattern => (
+      !(pattern instanceof RegExp || typeof pattern === 'string')
+    ))
+  ) {
+    throw new Error(REDACTION_OPTIONS_ERROR);
+  }
+
+  const redactions = [
+    ...Object.keys(PII_PATTERNS)
+      .filter(type => types.includes(type))
+      .map(type => [type, PII_PATTERNS[type]]),
+    ...Object.entries(patterns)
+      .map(([name, pattern]) => [name, toGlobal(pattern)])
+  ];
+
+  /**
+   * redact
+   * Replace PII in a text with placeholders.
+   * Returns the text and the number of
+   * redactions of each type.
+   */
+
+  const redact = text => {
+    const counts = {};
+
+    let result = text;
+
+    for (const [name, pattern] of redactions) {
+      const isValid = VALIDATORS[name] || (() => true);
+
+      result = result.replace(pattern, match => {
+        if (!isValid(match)) return match;
+
+        counts[name] = (counts[name] || 0) + 1;
+
+        return `<${name}>`;
+      });
+    }
+
+    return {
+      text: result,
+      counts
+    };
+  };
+
+  return {
+    redact
+  };
+};
@@ -0,0 +1,97 @@
+// Training event types, in the order they're
+// emitted
+
+const EVENT_STARTED = 'started';
+const EVENT_DOCUMENT_LOADED = 'documentLoaded';
+const EVENT_PROGRESS = 'progress';
+const EVENT_STATS = 'stats';
+const EVENT_FINISHED = 'finished';
+
+const PROGRESS_OPTIONS_ERROR = 'Invalid progress options. Expected an onProgress function and a logger with an info method.';
+
+/**
+ * createReporter
+ * Create a reporter of structured training events.
+ * Each event (`{ type, timestamp, ...data }`) is
+ * passed to `onProgress`, and its message (if any)
+ * to `logger.info` (`console` by default) unless
+ * `silent`.
+ */
+
+const createReporter = ({
+  onProgress,
+  logger = console,
+  silent = false
+} = {}) => {
+  if (
+    (onProgress !== undefined && typeof onProgress !== 'function') ||
+    (!silent && typeof logger?.info !== 'function')
+  ) {
+    throw new Error(PROGRESS_OPTIONS_ERROR);
+  }
+
+  /**
+   * log
+   * Log a message (unless silent).
+   */
+
+  const log = message => {
+    if (!silent) logger.info(message);
+  };
+
+  /**
+   * emit
+   * Report an event, with an optional
+   * message to log.
+   */
+
+  const emit = (type, data = {}, message) => {
+    onProgress?.({
+      type,
+      timestamp: Date.now(),
+      ...data
+    });
+
+    if (message) log(message);
+  };
+
+  /**
+   * createPercentReporter
+   * Report `progress` events as a count goes
+   * up to `total`, once per whole percent.
+   */
+
+  const createPercentReporter = (total, data = {}) => {
+    let lastPercent = -1;
+
+    return count => {
+      const percent = total ? Math.floor(count / total * 100) : 100;
+
+      if (percent === lastPercent) return;
+
+      lastPercent = percent;
+
+      emit(EVENT_PROGRESS, {
+        ...data,
+        percent,
+        count,
+        total
+      });
+    };
+  };
+
+  return {
+    log,
+    emit,
+    createPercentReporter
+  };
+};
+
+module.exports = {
+  EVENT_STARTED,
+  EVENT_DOCUMENT_LOADED,
+  EVENT_PROGRESS,
+  EVENT_STATS,
+  EVENT_FINISHED,
+  createReporter
+};
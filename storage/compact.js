@@ -0,0 +1,311 @@
+const INITIAL_CAPACITY = 1024;
+
+// Marks an empty hash table slot, or a missing
+// child or sibling
+
+const EMPTY = -1;
+
+// Marks a node that was removed (and can be reused)
+
+const REMOVED = -2;
+
+const ROOT = 0;
+
+// Grow a typed array to a new length, filling new
+// elements with a value
+
+const resize = (array, length, fill = 0) => {
+  const resized = new array.constructor(length);
+
+  resized.set(array);
+
+  if (fill) resized.fill(fill, array.length);
+
+  return resized;
+};
+
+// Hash a (parent node, token ID) pair
+
+const hash = (parent, token) => {
+  let h = Math.imul(parent, 0x9e3779b1) ^ Math.imul(token + 1, 0x85ebca77);
+
+  h ^= h >>> 15;
+  h = Math.imul(h, 0x2c1b3c6d);
+  h ^= h >>> 12;
+
+  return h >>> 0;
+};
+
+/**
+ * Compact storage
+ * Stores the trie in typed arrays. Tokens are
+ * interned to integer IDs (released once no node
+ * uses them), and each node is an index into
+ * parallel arrays of its token, parent, count,
+ * first child and next sibling. Children
+ * are found through an open-addressing hash table
+ * keyed by (parent, token ID).
+ */
+
+module.exports = () => {
+  const vocabulary = [];
+  const tokenIds = new Map();
+  const tokenNodes = [];
+  const releasedIds = [];
+  const removed = [];
+
+  let capacity = INITIAL_CAPACITY;
+  let nodeCount = 1;
+  let entries = 0;
+
+  let tokens = new Int32Array(capacity).fill(EMPTY);
+  let parents = new Int32Array(capacity).fill(EMPTY);
+  let counts = new Uint32Array(capacity);
+  let firstChildren = new Int32Array(capacity).fill(EMPTY);
+  let nextSiblings = new Int32Array(capacity).fill(EMPTY);
+  let slots = new Int32Array(capacity * 2).fill(EMPTY);
+
+  // Find the hash table slot of a child, or the
+  // empty slot where it would go
+
+  const findSlot = (parent, token) => {
+    const mask = slots.length - 1;
+
+    let slot = hash(parent, token) & mask;
+
+    while (slots[slot] !== EMPTY) {
+      const node = slots[slot];
+
+      if (parents[node] === parent && tokens[node] === token) break;
+
+      slot = (slot + 1) & mask;
+    }
+
+    return slot;
+  };
+
+  // Double the hash table, keeping it at most
+  // half full
+
+  const rehash = () => {
+    const previous = slots;
+
+    slots = new Int32Array(previous.length * 2).fill(EMPTY);
+
+    for (const node of previous) {
+      if (node !== EMPTY) {
+        slots[findSlot(parents[node], tokens[node])] = node;
+      }
+    }
+  };
+
+  // Remove a slot from the hash table, moving later
+  // entries of the same probe sequence back
+
+  const clearSlot = slot => {
+    const mask = slots.length - 1;
+
+    let empty = slot;
+    let next = slot;
+
+    while (true) {
+      next = (next + 1) & mask;
+
+      const node = slots[next];
+
+      if (node === EMPTY) break;
+
+      const home = hash(parents[node], tokens[node]) & mask;
+
+      const isInRange = empty <= next
+        ? empty < home && home <= next
+        : empty < home || home <= next;
+
+      if (isInRange) continue;
+
+      slots[empty] = node;
+      empty = next;
+    }
+
+    slots[empty] = EMPTY;
+    entries--;
+  };
+
+  // Get a node to use, reusing removed nodes
+  // before growing the arrays
+
+  const allocateNode = () => {
+    if (removed.length) return removed.pop();
+
+    if (nodeCount === capacity) {
+      capacity *= 2;
+
+      tokens = resize(tokens, capacity, EMPTY);
+      parents = resize(parents, capacity, EMPTY);
+      counts = resize(counts, capacity);
+      firstChildren = resize(firstChildren, capacity, EMPTY);
+      nextSiblings = resize(nextSiblings, capacity, EMPTY);
+    }
+
+    return nodeCount++;
+  };
+
+  // Get the ID of a token, interning it (reusing
+  // released IDs first)
+
+  const internToken = token => {
+    let id = tokenIds.get(token);
+
+    if (id === undefined) {
+      id = releasedIds.length ? releasedIds.pop() : vocabulary.length;
+
+      vocabulary[id] = token;
+      tokenNodes[id] = 0;
+      tokenIds.set(token, id);
+    }
+
+    tokenNodes[id]++;
+
+    return id;
+  };
+
+  // Release a node's use of a token ID, forgetting
+  // the token once no node uses it
+
+  const releaseToken = id => {
+    if (--tokenNodes[id]) return;
+
+    tokenIds.delete(vocabulary[id]);
+    vocabulary[id] = undefined;
+    releasedIds.push(id);
+  };
+
+  // Remove a node and its descendants
+
+  const removeNode = node => {
+    const stack = [node];
+
+    while (stack.length) {
+      const current = stack.pop();
+
+      for (
+        let child = firstChildren[current];
+        child !== EMPTY;
+        child = nextSiblings[child]
+      ) {
+        stack.push(child);
+      }
+
+      clearSlot(findSlot(parents[current], tokens[current]));
+      releaseToken(tokens[current]);
+
+      tokens[current] = EMPTY;
+      parents[current] = REMOVED;
+      counts[current] = 0;
+      firstChildren[current] = EMPTY;
+      nextSiblings[current] = EMPTY;
+
+      removed.push(current);
+    }
+  };
+
+  /**
+   * child
+   * Get the child of a node by token.
+   */
+
+  const child = (node, token) => {
+    const id = tokenIds.get(token);
+
+    if (id === undefined) return;
+
+    const found = slots[findSlot(node, id)];
+
+    return found === EMPTY ? undefined : found;
+  };
+
+  /**
+   * children
+   * Get the `[token, child]` pairs of a node.
+   */
+
+  const children = node => {
+    const pairs = [];
+
+    for (
+      let current = firstChildren[node];
+      current !== EMPTY;
+      current = nextSiblings[current]
+    ) {
+      pairs.push([vocabulary[tokens[current]], current]);
+    }
+
+    return pairs;
+  };
+
+  /**
+   * addChild
+   * Add a child to a node, interning its token.
+   */
+
+  const addChild = (node, token) => {
+    const id = internToken(token);
+
+    if ((entries + 1) * 2 > slots.length) rehash();
+
+    const added = allocateNode();
+
+    tokens[added] = id;
+    parents[added] = node;
+    counts[added] = 0;
+    firstChildren[added] = EMPTY;
+    nextSiblings[added] = firstChildren[node];
+    firstChildren[node] = added;
+
+    slots[findSlot(node, id)] = added;
+    entries++;
+
+    return added;
+  };
+
+  /**
+   * removeChild
+   * Remove the child of a node (and its
+   * descendants) by token.
+   */
+
+  const removeChild = (node, token) => {
+    const removedChild = child(node, token);
+
+    if (removedChild === undefined) return;
+
+    // unlink it from its siblings
+
+    if (firstChildren[node] === removedChild) {
+      firstChildren[node] = nextSiblings[removedChild];
+    } else {
+      let sibling = firstChildren[node];
+
+      while (nextSiblings[sibling] !== removedChild) {
+        sibling = nextSiblings[sibling];
+      }
+
+      nextSiblings[sibling] = nextSiblings[removedChild];
+    }
+
+    removeNode(removedChild);
+  };
+
+  return {
+    type: 'compact',
+    root: ROOT,
+    child,
+    count: node => counts[node],
+    children,
+    addChild,
+    addCount: (node, amount) => {
+      counts[node] += amount;
+    },
+    removeChild
+  };
+};
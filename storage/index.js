@@ -0,0 +1,254 @@
+const object = require('./object');
+const compact = require('./compact');
+
+// Trie storage backends by type. A backend has a
+// `root` node, and `child(node, token)`,
+// `count(node)`, `children(node)` (`[token, child]`
+// pairs), `addChild(node, token)`,
+// `addCount(node, amount)` and
+// `removeChild(node, token)`. Nodes are opaque.
+
+const BACKENDS = {
+  object,
+  compact
+};
+
+const STORAGE_ERROR = `Invalid storage. Expected one of ${Object.keys(BACKENDS).join(', ')}.`;
+
+/**
+ * createStorage
+ * Create an n-gram trie with a storage backend
+ * (`'compact'` by default), optionally restoring
+ * one encoded by `encode`.
+ */
+
+const createStorage = (type = 'compact', encoded) => {
+  if (!Object.hasOwn(BACKENDS, type)) {
+    throw new Error(STORAGE_ERROR);
+  }
+
+  const backend = BACKENDS[type]();
+
+  const {
+    root,
+    child,
+    count,
+    children,
+    addChild,
+    addCount,
+    removeChild
+  } = backend;
+
+  /**
+   * lookup
+   * Get the node of an n-gram (list of
+   * tokens), if it was seen.
+   */
+
+  const lookup = ngram => {
+    let node = root;
+
+    for (const token of ngram) {
+      node = child(node, token);
+
+      if (node === undefined) return;
+    }
+
+    return node;
+  };
+
+  /**
+   * childCount
+   * Count a token following a node.
+   */
+
+  const childCount = (node, token) => {
+    const next = child(node, token);
+
+    return next === undefined ? 0 : count(next);
+  };
+
+  /**
+   * continuations
+   * Get the `[token, count]` pairs of the
+   * tokens following a node.
+   */
+
+  const continuations = node => (
+    children(node).map(([token, next]) => [token, count(next)])
+  );
+
+  /**
+   * insert
+   * Add a sequence of tokens from every position,
+   * incrementing the count of each n-gram up to
+   * `order` tokens.
+   */
+
+  const insert = (tokens, order) => {
+    for (let index = 0; index < tokens.length; index++) {
+      let node = root;
+
+      addCount(node, 1);
+
+      for (const token of tokens.slice(index, index + order)) {
+        node = child(node, token) ?? addChild(node, token);
+        addCount(node, 1);
+      }
+    }
+  };
+
+  /**
+   * subtract
+   * Subtract the counts of another trie, pruning
+   * n-grams that no longer occur. Returns false
+   * (without changing anything) when the other
+   * trie has n-grams this one doesn't.
+   */
+
+  const subtract = other => {
+    const pairs = [[root, other.root]];
+
+    // verify every n-gram before changing
+    // anything
+
+    while (pairs.length) {
+      const [node, otherNode] = pairs.pop();
+
+      if (node === undefined || count(node) < other.count(otherNode)) {
+        return false;
+      }
+
+      for (const [token, otherChild] of other.children(otherNode)) {
+        pairs.push([child(node, token), otherChild]);
+      }
+    }
+
+    // subtract counts and prune empty branches
+
+    pairs.push([root, other.root]);
+
+    while (pairs.length) {
+      const [node, otherNode] = pairs.pop();
+
+      addCount(node, -other.count(otherNode));
+
+      for (const [token, otherChild] of other.children(otherNode)) {
+        const next = child(node, token);
+
+        if (count(next) === other.count(otherChild)) {
+          removeChild(node, token);
+        } else {
+          pairs.push([next, otherChild]);
+        }
+      }
+    }
+
+    return true;
+  };
+
+  /**
+   * encode
+   * Encode the trie as a vocabulary plus a flat,
+   * pre-order list of `[token index, count, child
+   * count]` triples, to keep model files compact
+   * and quick to parse.
+   */
+
+  const encode = () => {
+    const vocabulary = [];
+    const indices = new Map();
+    const nodes = [];
+    const stack = [['', root]];
+
+    while (stack.length) {
+      const [token, node] = stack.pop();
+      const pairs = children(node);
+
+      if (!indices.has(token)) {
+        indices.set(token, vocabulary.push(token) - 1);
+      }
+
+      nodes.push(indices.get(token), count(node), pairs.length);
+
+      for (let i = pairs.length - 1; i >= 0; i--) {
+        stack.push(pairs[i]);
+      }
+    }
+
+    return {
+      vocabulary,
+      nodes
+    };
+  };
+
+  /**
+   * decode
+   * Add the n-grams of a trie encoded by
+   * `encode` (to an empty trie).
+   */
+
+  const decode = ({ vocabulary, nodes }) => {
+    const stack = [];
+
+    for (let i = 0; i < nodes.length; i += 3) {
+      let node = root;
+
+      if (i) {
+        const parent = stack[stack.length - 1];
+
+        node = addChild(parent.node, vocabulary[nodes[i]]);
+
+        if (!--parent.remaining) stack.pop();
+      }
+
+      addCount(node, nodes[i + 1]);
+
+      if (nodes[i + 2]) {
+        stack.push({ node, remaining: nodes[i + 2] });
+      }
+    }
+  };
+
+  /**
+   * size
+   * Count the nodes of the trie.
+   */
+
+  const size = () => {
+    const stack = [root];
+
+    let nodeCount = 0;
+
+    while (stack.length) {
+      nodeCount++;
+
+      for (const [, next] of children(stack.pop())) {
+        stack.push(next);
+      }
+    }
+
+    return nodeCount;
+  };
+
+  if (encoded) decode(encoded);
+
+  return {
+    type,
+    root,
+    child,
+    count,
+    children,
+    lookup,
+    childCount,
+    continuations,
+    insert,
+    subtract,
+    encode,
+    size
+  };
+};
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,33 @@
+// Create a trie node. Each node counts how many
+// times the n-gram ending at that node was seen
+
+const createNode = () => ({
+  count: 0,
+  next: Object.create(null)
+});
+
+/**
+ * Object storage
+ * Stores the trie as nested plain objects, keyed
+ * by token. Simple, but each node costs an object
+ * and a dictionary of its children.
+ */
+
+module.exports = () => {
+  const root = createNode();
+
+  return {
+    type: 'object',
+    root,
+    child: (node, token) => node.next[token],
+    count: node => node.count,
+    children: node => Object.entries(node.next),
+    addChild: (node, token) => (node.next[token] = createNode()),
+    addCount: (node, amount) => {
+      node.count += amount;
+    },
+    removeChild: (node, token) => {
+      delete node.next[token];
+    }
+  };
+};
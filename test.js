@@ -1,12 +1,20 @@
-const { dirname } = require('path');
+const { dirname, join } = require('path');
+const { tmpdir } = require('os');
+const { mkdtemp, writeFile } = require('fs').promises;
+const zlib = require('zlib');
+const { Readable } = require('stream');
 const __root = dirname(require.main.filename);
 
 const {
   Language: LanguageModel,
+  Phrase: PhraseModel,
   Image: ImageModel
 } = require('./models');
 
+const evaluate = require('./evaluation');
+
 const DefaultDataset = require(`${__root}/training/datasets/Default`);
+const TestDataset = require(`${__root}/training/datasets/Test`);
 const DefaultImageDataset = require(`${__root}/training/datasets/images/Default`);
 
 /**
@@ -45,6 +53,49 @@ const withBootstrap = async query => {
   );
 };
 
+const withBeamSearch = async (dataset, query) => {
+  const agent = await LanguageModel({
+    dataset
+  });
+
+  // Log scored completions
+
+  console.log(
+    'getBeamCompletions >>',
+    `query: ${query}`,
+    agent.getBeamCompletions(query, {
+      beamWidth: 4,
+      count: 3
+    })
+  );
+};
+
+const withScoring = async (dataset, sentences) => {
+  const agent = await LanguageModel({
+    dataset
+  });
+
+  // Log the score of each candidate sentence
+
+  for (const sentence of sentences) {
+    const { logProbability, perplexity } = agent.scoreSequence(sentence);
+
+    console.log(
+      'scoreSequence >>',
+      `text: ${sentence}`,
+      { logProbability, perplexity }
+    );
+  }
+
+  // Log perplexity on a document
+
+  console.log(
+    'perplexity >>',
+    'files: test',
+    await agent.perplexity(['test'])
+  );
+};
+
 const withFiles = async (files, query) => {
   const agent = await LanguageModel({
     files
@@ -59,6 +110,666 @@ const withFiles = async (files, query) => {
   );
 };
 
+const withSampling = async (files, query, options) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  // Log the same seeded completion twice
+
+  for (let i = 0; i < 2; i++) {
+    console.log(
+      'sampled complete >>',
+      `query: ${query}`,
+      JSON.stringify(options),
+      agent.complete(query, options)
+    );
+  }
+};
+
+const withStopConditions = async (files, query, options) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  // Log completions with and without stop conditions
+
+  console.log(
+    'complete >>',
+    `query: ${query}`,
+    agent.complete(query)
+  );
+
+  console.log(
+    'stopped complete >>',
+    `query: ${query}`,
+    JSON.stringify(options),
+    agent.complete(query, options)
+  );
+};
+
+const withNoRepeatNgrams = async (files, query, noRepeatNgramSize) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  // Log greedy and beam search completions that
+  // never repeat an n-gram of a given size
+
+  console.log(
+    'no repeat complete >>',
+    `query: ${query}`,
+    `size: ${noRepeatNgramSize}`,
+    agent.complete(query, { noRepeatNgramSize })
+  );
+
+  console.log(
+    'no repeat getBeamCompletions >>',
+    `query: ${query}`,
+    `size: ${noRepeatNgramSize}`,
+    agent.getBeamCompletions(query, {
+      noRepeatNgramSize,
+      count: 2
+    }).completions.map(({ completion }) => completion)
+  );
+};
+
+const withConfig = async (files, query, config, overrides) => {
+  const agent = await LanguageModel({
+    files,
+    ...config
+  });
+
+  console.log('config >>', agent.getConfig());
+
+  // Log predictions with the model's configuration,
+  // then with per-call overrides
+
+  console.log(
+    'configured prediction >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).rankedTokenList
+  );
+
+  console.log(
+    'overridden prediction >>',
+    `query: ${query}`,
+    JSON.stringify(overrides),
+    agent.getTokenPrediction(query, overrides).rankedTokenList,
+    agent.complete(query, overrides)
+  );
+
+  // Log invalid configuration
+
+  try {
+    await LanguageModel({
+      files,
+      rankingBatchSize: '50'
+    });
+  } catch (error) {
+    console.log('invalid config >>', error.message);
+  }
+};
+
+const withProgress = async sources => {
+  const events = [];
+
+  await LanguageModel({
+    ...sources,
+    silent: true,
+    onProgress: event => events.push(event)
+  });
+
+  // Log each type of event (in the order first
+  // seen), with how many there were
+
+  const counts = {};
+
+  for (const { type } of events) {
+    counts[type] = (counts[type] || 0) + 1;
+  }
+
+  console.log('training events >>', counts);
+
+  console.log(
+    'training stats >>',
+    events.find(({ type }) => type === 'stats')
+  );
+};
+
+const withStorage = async (files, query) => {
+
+  // Log the same prediction from each storage backend
+
+  for (const storage of ['object', 'compact']) {
+    const agent = await LanguageModel({
+      files,
+      storage,
+      silent: true
+    });
+
+    const { token, frequencies } = agent.getTokenPrediction(query);
+
+    console.log(
+      'storage prediction >>',
+      `storage: ${storage}`,
+      `query: ${query}`,
+      token,
+      JSON.stringify(frequencies).slice(0, 120)
+    );
+
+    agent.dispose();
+  }
+};
+
+const withLearning = async (files, text, query) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  console.log(
+    'before learn >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies
+  );
+
+  // Add new text to the trained model in place
+
+  agent.learn(text);
+
+  console.log(
+    'after learn >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies
+  );
+};
+
+const withForgetting = async (files, documentName, query) => {
+  const modelFile = join(tmpdir(), 'next-token-prediction-documents.model');
+
+  const trainedAgent = await LanguageModel({
+    files,
+    recordDocuments: true
+  });
+
+  const retrainedAgent = await LanguageModel({
+    files: files.filter(file => (file.name || file) !== documentName)
+  });
+
+  // Save the recorded documents with the model,
+  // then remove one from the loaded model and
+  // compare with a model trained without it
+
+  await trainedAgent.save(modelFile, { documents: true });
+
+  const agent = await LanguageModel({
+    modelFile
+  });
+
+  agent.forget(documentName);
+
+  console.log(
+    'forget >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies,
+    retrainedAgent.getTokenPrediction(query).frequencies
+  );
+};
+
+const withUnlearnedForgetting = async (files, text, documentName, query) => {
+  const agent = await LanguageModel({
+    files,
+    recordDocuments: true
+  });
+
+  const retrainedAgent = await LanguageModel({
+    files: files.filter(file => (file.name || file) !== documentName)
+  });
+
+  // Unlearn part of a document, then forget the
+  // rest of it
+
+  agent.unlearn(text);
+  agent.forget(documentName);
+
+  console.log(
+    'unlearn then forget >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies,
+    retrainedAgent.getTokenPrediction(query).frequencies
+  );
+
+  // Documents can't be forgotten when they weren't
+  // recorded, or when cleaning removes duplicates
+
+  for (const options of [{}, { clean: true, recordDocuments: true }]) {
+    const otherAgent = await LanguageModel({
+      files,
+      ...options
+    });
+
+    try {
+      otherAgent.forget(documentName);
+    } catch (error) {
+      console.log('forget error >>', JSON.stringify(options), error.message);
+    }
+  }
+};
+
+const withModelFile = async (files, query) => {
+  const modelFile = join(tmpdir(), 'next-token-prediction-test.model');
+
+  // Train, save, then reload without retraining
+
+  const trainedAgent = await LanguageModel({
+    files
+  });
+
+  await trainedAgent.save(modelFile);
+
+  const agent = await LanguageModel({
+    modelFile
+  });
+
+  // Log completion
+
+  console.log(
+    'modelFile >>',
+    `query: ${query}`,
+    agent.complete(query)
+  );
+};
+
+const withSources = async (files, query) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  // Log prediction from mixed document sources
+
+  console.log(
+    'sources getTokenPrediction >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies
+  );
+
+  // Log a pattern with an unclosed bracket (matched
+  // literally)
+
+  try {
+    await LanguageModel({
+      files: ['cat-facts[1']
+    });
+  } catch (error) {
+    console.log('unclosed pattern >>', error.message);
+  }
+};
+
+// Build a zip archive of stored (uncompressed)
+// files, e.g. an EPUB book
+
+const createZip = files => {
+  const localParts = [];
+  const centralParts = [];
+
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  const count = Object.keys(files).length;
+
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, directory, end]);
+};
+
+const withLoaders = async (files, loaderOptions, query) => {
+  const agent = await LanguageModel({
+    files,
+    loaderOptions
+  });
+
+  // Log prediction from HTML, Markdown, JSONL,
+  // CSV and EPUB documents
+
+  console.log(
+    'loaders getTokenPrediction >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies
+  );
+};
+
+const withCleaning = async (files, clean, query) => {
+  const agent = await LanguageModel({
+    files,
+    clean
+  });
+
+  // Log what cleaning removed, and prediction
+  // without boilerplate and duplicates
+
+  console.log(
+    'clean getTrainingReport >>',
+    JSON.stringify(agent.getTrainingReport())
+  );
+
+  console.log(
+    'clean getTokenPrediction >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies
+  );
+};
+
+const withRedaction = async (files, redact, query) => {
+  const agent = await LanguageModel({
+    files,
+    redact
+  });
+
+  // Log redaction counts, and prediction with
+  // placeholders instead of PII
+
+  console.log(
+    'redact getTrainingReport >>',
+    JSON.stringify(agent.getTrainingReport())
+  );
+
+  console.log(
+    'redact getTokenPrediction >>',
+    `query: ${query}`,
+    agent.getTokenPrediction(query).frequencies
+  );
+};
+
+const withUnicode = async (files, queries) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  // Log predictions for accented words, elisions
+  // and other scripts
+
+  for (const query of queries) {
+    console.log(
+      'unicode getTokenPrediction >>',
+      `query: ${query}`,
+      agent.getTokenPrediction(query).frequencies
+    );
+  }
+};
+
+const withTokenizer = async (files, tokenizer, query) => {
+  const agent = await LanguageModel({
+    files,
+    tokenizer,
+    ngramOrder: 8
+  });
+
+  // Log tokens and completion (subword and
+  // character tokens can complete a word)
+
+  console.log(
+    'tokenizer encode >>',
+    `query: ${query}`,
+    agent.encode(query)
+  );
+
+  console.log(
+    'tokenizer complete >>',
+    `query: ${query}`,
+    agent.complete(query)
+  );
+};
+
+const withCodeMode = async (dataset, query) => {
+  const agent = await LanguageModel({
+    dataset,
+    ngramOrder: 6
+  });
+
+  // Log line completions that keep symbols,
+  // indentation and line breaks
+
+  console.log(
+    'code getBeamCompletions >>',
+    `query: ${JSON.stringify(query)}`,
+    agent.getBeamCompletions(query, {
+      maxLength: 20,
+      count: 3
+    }).completions.map(({ completion }) => completion)
+  );
+
+  // Reload the model, then learn more source code
+  // from a directory (loaded with the code loaders
+  // of its mode)
+
+  const modelFile = join(tmpdir(), 'next-token-prediction-code.model');
+  const directory = await mkdtemp(join(tmpdir(), 'next-token-prediction-code-'));
+
+  await writeFile(
+    join(directory, 'config.js'),
+    'const createConfig = (options = {}) => options;\n'
+  );
+
+  await agent.save(modelFile);
+
+  const loadedAgent = await LanguageModel({
+    modelFile
+  });
+
+  await loadedAgent.learnFiles([directory]);
+
+  console.log(
+    'code modelFile learnFiles >>',
+    loadedAgent.getTokenPrediction('const createConfig = (').rankedTokenList.slice(0, 3)
+  );
+};
+
+const withWordCompletions = async (files, query) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  // Log completions of a partial word, then of the
+  // phrase after it
+
+  const {
+    prefix,
+    rankedTokenList,
+    completion
+  } = agent.getWordCompletions(query);
+
+  console.log(
+    'getWordCompletions >>',
+    `query: ${query}`,
+    prefix,
+    rankedTokenList.slice(0, 5),
+    completion
+  );
+
+  console.log(
+    'phrase getWordCompletions >>',
+    `query: ${query}`,
+    agent.getWordCompletions(query, { completePhrase: true }).completion
+  );
+};
+
+const withChangedVocabulary = async files => {
+  const agent = await LanguageModel({
+    files,
+    silent: true
+  });
+
+  // Swap a learned sentence for another of the same
+  // length, so the vocabulary changes but its total
+  // count doesn't
+
+  agent.learn('Foo bar.');
+  agent.getWordCompletions('Fo');
+  agent.getTokenPrediction('unseen');
+  agent.learn('Zebra quux.');
+  agent.unlearn('Foo bar.');
+
+  console.log(
+    'changed vocabulary >>',
+    agent.getWordCompletions('Fo').rankedTokenList.slice(0, 3),
+    agent.getWordCompletions('Ze').rankedTokenList.slice(0, 3),
+    agent.checkText('Zebra').errors,
+    agent.getTokenPrediction('unseen').rankedTokenList.includes('Foo')
+  );
+};
+
+const withCorrections = async (files, text) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  // Log misspelled words and the corrected text
+
+  const { errors, corrected } = agent.checkText(text);
+
+  console.log(
+    'checkText >>',
+    `text: ${text}`,
+    errors.map(({ word, suggestions }) => [
+      word,
+      suggestions.map(({ word }) => word)
+    ]),
+    corrected
+  );
+};
+
+const withStreaming = async (files, query, abortAfter) => {
+  const agent = await LanguageModel({
+    files
+  });
+
+  const controller = new AbortController();
+  const chunks = [];
+
+  // Log tokens streamed until aborted
+
+  try {
+    for await (const { text } of agent.stream(query, {
+      signal: controller.signal
+    })) {
+      chunks.push(text);
+
+      if (chunks.length === abortAfter) controller.abort();
+    }
+  } catch (error) {
+    console.log(
+      'stream >>',
+      `query: ${query}`,
+      error.name,
+      chunks.join('')
+    );
+  }
+
+  // Log text streamed from a Readable
+
+  let text = '';
+
+  for await (const chunk of agent.stream(query, {
+    readable: true,
+    maxLength: abortAfter
+  })) {
+    text += chunk;
+  }
+
+  console.log(
+    'stream readable >>',
+    `query: ${query}`,
+    text
+  );
+};
+
+const withIsolatedModels = (texts, query) => {
+  // Each model instance has its own context
+
+  const agents = texts.map(text => {
+    const agent = PhraseModel();
+
+    agent.ingest(text);
+    agent.createContext();
+
+    return agent;
+  });
+
+  for (const agent of agents) {
+    console.log(
+      'isolated getTokenPrediction >>',
+      `query: ${query}`,
+      agent.getTokenPrediction(query).token
+    );
+  }
+
+  // Log prediction after disposing a model
+
+  const [disposedAgent] = agents;
+
+  disposedAgent.dispose();
+
+  console.log(
+    'dispose >>',
+    `query: ${query}`,
+    disposedAgent.getTokenPrediction(query)
+  );
+};
+
+const withEvaluation = async (dataset, options) => {
+  const output = join(tmpdir(), 'next-token-prediction-evaluation.json');
+
+  // Log held-out metrics (also written as JSON)
+
+  const { metrics } = await evaluate({
+    dataset,
+    output,
+    ...options
+  });
+
+  console.log(
+    'evaluate >>',
+    `dataset: ${dataset.name}`,
+    metrics
+  );
+};
+
 const runTests = async () => {
   // Unit: Run different queries in isolation
   //       with different datasets
@@ -71,10 +782,313 @@ const runTests = async () => {
 
   await withDataset(DefaultDataset, 'unless');
 
+  // Unit: Match n-grams that only occur mid-sentence
+
+  await withDataset(DefaultDataset, 'the old man');
+
+  // Unit: Back off to a lower order when an n-gram is missing
+
+  await withDataset(DefaultDataset, 'the old man walked');
+
+  // Unit: Scored completions with beam search
+
+  await withBeamSearch(DefaultDataset, 'the sun');
+
+  // Unit: Score and rank candidate sentences
+
+  await withScoring(DefaultDataset, [
+    'The sun sets over the city.',
+    'City the over sets sun the.'
+  ]);
+
+  // Unit: Models in the same process don't share context
+
+  withIsolatedModels([
+    'The ticket was closed. The ticket was escalated.',
+    'The product was shipped. The product was returned.'
+  ], 'the');
+
   // e2e: Run training on user provided files
 
   await withFiles(['the-phantom-of-the-opera'], 'eloquence');
 
+  // e2e: Complete a partial word
+
+  await withWordCompletions(['the-phantom-of-the-opera'], 'the old m');
+
+  await withChangedVocabulary(['test']);
+
+  // e2e: Stream a completion and cancel it
+
+  await withStreaming(['the-phantom-of-the-opera'], 'the old man', 6);
+
+  // e2e: Check spelling and suggest corrections
+
+  await withCorrections(['the-phantom-of-the-opera'], 'Teh Opera gohst apeared');
+
+  // e2e: Sample completions with a fixed seed
+
+  await withSampling(['test'], 'the', {
+    temperature: 0.8,
+    topK: 3,
+    seed: 42
+  });
+
+  // e2e: Stop completions early and prevent repetition
+
+  await withStopConditions(['the-phantom-of-the-opera'], 'the old man', {
+    stop: [' and '],
+    stopAtSentenceEnd: true,
+    noRepeatNgramSize: 2
+  });
+
+  await withNoRepeatNgrams(['test'], 'the', 1);
+
+  await withNoRepeatNgrams(['test'], 'the', 2);
+
+  // e2e: Configure models per instance and per call
+
+  await withConfig(['test'], 'the', {
+    rankingBatchSize: 3,
+    maxResponseLength: 20
+  }, {
+    rankingBatchSize: 1,
+    maxResponseLength: 5
+  });
+
+  // e2e: Report training events without logging
+
+  await withProgress({
+    files: ['the-phantom-of-the-opera', 'test']
+  });
+
+  await withProgress({
+    dataset: TestDataset
+  });
+
+  // e2e: Store the trie as objects or compactly
+
+  await withStorage(['the-phantom-of-the-opera'], 'the old man');
+
+  // e2e: Learn new text without retraining
+
+  await withLearning(
+    ['test'],
+    'The quiet storm passed. The quiet storm returned.',
+    'the quiet'
+  );
+
+  // e2e: Forget a trained document
+
+  await withForgetting(['test', 'cat-facts'], 'cat-facts', 'the');
+
+  await withForgetting(['test', {
+    name: 'customer-42',
+    text: 'Jane Roe lives at Elm Street.'
+  }], 'customer-42', 'Jane');
+
+  await withUnlearnedForgetting(['test', {
+    name: 'notes',
+    text: 'The lazy cat slept. The lazy cat woke up.'
+  }], 'The lazy cat woke up.', 'notes', 'the lazy');
+
+  // e2e: Save a trained model and load it from disk
+
+  await withModelFile(['test'], 'the quick');
+
+  // e2e: Train on paths, patterns, Buffers, streams
+  //      and in-memory text
+
+  await withSources([
+    join(__root, 'training/documents/test.txt'),
+    'cat-*',
+    Buffer.from('The quiet canoe sank.'),
+    Readable.from(['The quiet canoe ', 'drifted.']),
+    {
+      name: 'in-memory',
+      text: 'The quiet canoe floated.'
+    }
+  ], 'the quiet canoe');
+
+  // e2e: Extract text from other document formats
+
+  await withLoaders([
+    {
+      name: 'help.html',
+      text: '<html><head><title>Help</title></head><body><nav>Home</nav><p>Reset your password from the login page.</p></body></html>'
+    },
+    {
+      name: 'help.md',
+      text: '# Help\n\nReset your **password** from the [settings](/settings) page.'
+    },
+    {
+      name: 'chat.jsonl',
+      text: '{"messages":[{"role":"user","content":"How do I reset your password?"}]}\n{"messages":[{"role":"assistant","content":"Reset your password by email."}]}'
+    },
+    {
+      name: 'products.csv',
+      text: 'id,description\n1,"Reset your password, then sign in."'
+    },
+    {
+      name: 'guide.epub',
+      text: createZip({
+        mimetype: 'application/epub+zip',
+        'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+        'OEBPS/content.opf': [
+          '<package>',
+          '<manifest>',
+          '<item id="chapter" href="chapter%201.xhtml"/>',
+          '<item data-id="chapter" id="cover" href="cover.xhtml"/>',
+          '</manifest>',
+          '<spine><itemref idref="chapter"/></spine>',
+          '</package>'
+        ].join('\n'),
+        'OEBPS/chapter 1.xhtml': '<html><body><p>Reset your password twice.</p></body></html>',
+        'OEBPS/cover.xhtml': '<html><body><p>Reset your password cover.</p></body></html>'
+      })
+    }
+  ], {
+    jsonl: { field: 'messages.content' },
+    csv: { column: 'description' }
+  }, 'reset your password');
+
+  // e2e: Strip boilerplate, duplicates and short
+  //      sentences before training
+
+  await withCleaning([
+    {
+      name: 'book',
+      text: [
+        'The Project Gutenberg eBook of The Canoe',
+        '*** START OF THE PROJECT GUTENBERG EBOOK THE CANOE ***',
+        'Produced by a volunteer.',
+        'CONTENTS',
+        'I. The River',
+        'II. The Lake',
+        'The canoe drifted down the river. The canoe drifted down the river.',
+        'The canoe drifted down the river! Yes. The canoe sank in the lake.',
+        '*** END OF THE PROJECT GUTENBERG EBOOK THE CANOE ***',
+        'The canoe is licensed under the Project Gutenberg License.'
+      ].join('\n')
+    },
+    {
+      name: 'copy',
+      text: 'The canoe sank in the lake.'
+    }
+  ], true, 'the canoe');
+
+  // Unit: Keep wrapped prose right after a table
+  //       of contents
+
+  await withCleaning([
+    {
+      name: 'wrapped',
+      text: [
+        'CONTENTS',
+        '',
+        'I. The River',
+        '',
+        'II. The Sea',
+        'Chapter III .......... 42',
+        '',
+        'The Nellie, a cruising yawl, swung to her anchor without a',
+        'flutter of the sails, and was at rest. The flood had made, and I',
+        'was civil.'
+      ].join('\n')
+    }
+  ], true, 'her anchor without');
+
+  // e2e: Replace PII with placeholders before
+  //      training
+
+  await withRedaction([
+    {
+      name: 'ticket-1',
+      text: 'Please reach me at jane.doe@example.com or 555-123-4567. My card 4111 1111 1111 1111 was charged twice.'
+    },
+    {
+      name: 'ticket-2',
+      text: 'Please reach me at sam@example.org about order ORD-123456.'
+    }
+  ], {
+    patterns: {
+      ORDER: /ORD-\d{6}/
+    }
+  }, 'please reach me at');
+
+  // e2e: Train on French, Russian and Chinese text
+
+  await withUnicode([
+    {
+      name: 'fr',
+      text: "L’Opéra était fermé cet été. Je n'aime pas l'opéra qu'il préfère. L'été dernier, l'Opéra était plein."
+    },
+    {
+      name: 'ru',
+      text: 'Москва — столица России. Москва — большой город.'
+    },
+    {
+      name: 'zh',
+      text: '我喜欢吃苹果。我喜欢喝茶。'
+    }
+  ], ["l'opéra", 'je n’aime', 'Москва', '我喜欢']);
+
+  // e2e: Train with subword and character
+  //      tokenizers
+
+  await withTokenizer(['test', 'cat-facts'], {
+    type: 'bpe',
+    vocabularySize: 500
+  }, 'cats are usu');
+
+  await withTokenizer(['test', 'cat-facts'], 'character', 'cats are usu');
+
+  // e2e: Train on source code
+
+  await withCodeMode({
+    name: 'loaders',
+    files: [
+      {
+        name: 'text.js',
+        text: [
+          "const { extname } = require('path');",
+          '',
+          'const toText = buffer => buffer.toString();',
+          '',
+          'module.exports = (buffer, {',
+          "  encoding = 'utf8'",
+          '} = {}) => {',
+          '  const text = toText(buffer);',
+          '',
+          '  return text.trim();',
+          '};',
+          ''
+        ].join('\n')
+      }
+    ],
+    mode: 'code'
+  }, 'module.exports = (buffer, {\n');
+
+  // e2e: Evaluate on a held-out split
+
+  await withEvaluation(TestDataset, {
+    testRatio: 0.4,
+    topK: 3
+  });
+
+  // e2e: Evaluate on held-out documents
+
+  await withEvaluation({
+    name: 'pets',
+    files: [
+      { name: 'cats', text: 'The cat sat on the mat. The dog sat on the rug.' },
+      { name: 'dogs', text: 'The dog sat on the mat. The cat sat on the rug.' }
+    ]
+  }, {
+    split: 'files',
+    testRatio: 0.5
+  });
+
   // e2e: Run training from bootstrap then query
 
   await withBootstrap('people');
@@ -0,0 +1,230 @@
+// Marks the start of a word, so tokens can be
+// joined back into text with spaces
+
+const WORD_START = '▁';
+
+const MATCH_WORD_START = new RegExp(WORD_START, 'g');
+
+const VOCABULARY_SIZE = 1000;
+
+const BPE_OPTIONS_ERROR = 'Invalid BPE options. Expected an integer vocabularySize >= 1 and a list of [token, token] merges.';
+
+// Pairs of symbols are keyed by joining them with
+// a space (symbols never contain spaces)
+
+const toPairKey = (a, b) => `${a} ${b}`;
+
+// Merge every occurrence of a pair of symbols
+
+const mergePair = (symbols, a, b) => {
+  const merged = [];
+
+  for (let index = 0; index < symbols.length; index++) {
+    if (symbols[index] === a && symbols[index + 1] === b) {
+      merged.push(a + b);
+      index++;
+    } else {
+      merged.push(symbols[index]);
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Byte-pair encoding (BPE) tokenizer
+ * Splits words into subword tokens. `train` learns
+ * merges of the most frequent adjacent symbols
+ * until the vocabulary has `vocabularySize` tokens,
+ * so rare and unseen words are made of known
+ * pieces. Pass `merges` to use merges learned
+ * before (training is skipped).
+ */
+
+module.exports = ({
+  vocabularySize = VOCABULARY_SIZE,
+  merges = []
+} = {}) => {
+  if (
+    !(Number.isInteger(vocabularySize) && vocabularySize >= 1) ||
+    !Array.isArray(merges) ||
+    merges.some(merge => !Array.isArray(merge) || merge.length !== 2)
+  ) {
+    throw new Error(BPE_OPTIONS_ERROR);
+  }
+
+  let ranks = new Map();
+  let cache = new Map();
+
+  const setMerges = list => {
+    merges = list;
+    ranks = new Map(merges.map(([a, b], rank) => [toPairKey(a, b), rank]));
+    cache = new Map();
+  };
+
+  setMerges(merges);
+
+  /**
+   * train
+   * Learn merges from training texts (once).
+   */
+
+  const train = texts => {
+    if (merges.length) return;
+
+    // count words
+
+    const wordCounts = new Map();
+
+    for (const text of texts) {
+      for (const word of text.split(/\s+/)) {
+        if (!word) continue;
+
+        const key = WORD_START + word;
+
+        wordCounts.set(key, (wordCounts.get(key) || 0) + 1);
+      }
+    }
+
+    const words = [...wordCounts].map(([word, count]) => ({
+      symbols: Array.from(word),
+      count
+    }));
+
+    const alphabet = new Set(words.flatMap(({ symbols }) => symbols));
+
+    // count adjacent pairs, and index the words
+    // each pair occurs in
+
+    const pairCounts = new Map();
+    const pairWords = new Map();
+
+    const countPairs = (index, sign) => {
+      const { symbols, count } = words[index];
+
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const key = toPairKey(symbols[i], symbols[i + 1]);
+        const pairCount = (pairCounts.get(key) || 0) + sign * count;
+
+        if (pairCount > 0) {
+          pairCounts.set(key, pairCount);
+        } else {
+          pairCounts.delete(key);
+        }
+
+        if (sign > 0) {
+          if (!pairWords.has(key)) pairWords.set(key, new Set());
+
+          pairWords.get(key).add(index);
+        }
+      }
+    };
+
+    for (let index = 0; index < words.length; index++) {
+      countPairs(index, 1);
+    }
+
+    // merge the most frequent pair (ties broken
+    // alphabetically) until the vocabulary is full
+
+    const learned = [];
+
+    while (alphabet.size + learned.length < vocabularySize) {
+      let best = null;
+      let bestCount = 1;
+
+      for (const [key, count] of pairCounts) {
+        if (count > bestCount || (count === bestCount && best && key < best)) {
+          best = key;
+          bestCount = count;
+        }
+      }
+
+      if (!best) break;
+
+      const [a, b] = best.split(' ');
+
+      learned.push([a, b]);
+
+      for (const index of [...pairWords.get(best)]) {
+        countPairs(index, -1);
+        words[index].symbols = mergePair(words[index].symbols, a, b);
+        countPairs(index, 1);
+      }
+
+      pairWords.delete(best);
+    }
+
+    setMerges(learned);
+  };
+
+  /**
+   * encodeWord
+   * Apply merges to a word in the order they
+   * were learned.
+   */
+
+  const encodeWord = word => {
+    if (cache.has(word)) return cache.get(word);
+
+    let symbols = Array.from(word);
+
+    while (symbols.length > 1) {
+      let best = null;
+      let bestRank = Infinity;
+
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = ranks.get(toPairKey(symbols[i], symbols[i + 1]));
+
+        if (rank < bestRank) {
+          best = i;
+          bestRank = rank;
+        }
+      }
+
+      if (best === null) break;
+
+      symbols = mergePair(symbols, symbols[best], symbols[best + 1]);
+    }
+
+    cache.set(word, symbols);
+
+    return symbols;
+  };
+
+  /**
+   * encode
+   * Split text into subword tokens.
+   */
+
+  const encode = text => (
+    text
+      .split(/\s+/)
+      .filter(Boolean)
+      .flatMap(word => encodeWord(WORD_START + word))
+  );
+
+  /**
+   * decode
+   * Join subword tokens into text.
+   */
+
+  const decode = tokens => (
+    tokens
+      .join('')
+      .replace(MATCH_WORD_START, ' ')
+      .trim()
+  );
+
+  return {
+    type: 'bpe',
+    train,
+    encode,
+    decode,
+    toJSON: () => ({
+      type: 'bpe',
+      vocabularySize,
+      merges
+    })
+  };
+};
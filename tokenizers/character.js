@@ -0,0 +1,35 @@
+const graphemeSegmenter = new Intl.Segmenter(undefined, {
+  granularity: 'grapheme'
+});
+
+/**
+ * Character tokenizer
+ * Splits text into user-perceived characters
+ * (grapheme clusters), including spaces.
+ */
+
+module.exports = () => {
+  /**
+   * encode
+   * Split text into character tokens.
+   */
+
+  const encode = text => Array.from(
+    graphemeSegmenter.segment(text),
+    ({ segment }) => segment
+  );
+
+  /**
+   * decode
+   * Join character tokens into text.
+   */
+
+  const decode = tokens => tokens.join('');
+
+  return {
+    type: 'character',
+    encode,
+    decode,
+    toJSON: () => ({ type: 'character' })
+  };
+};
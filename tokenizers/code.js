@@ -0,0 +1,61 @@
+// Source code tokens: line breaks (with any trailing
+// whitespace), indentation at the start of a line,
+// then identifiers, numbers, operators and other
+// symbols with the whitespace before them, so
+// decoding restores the exact text
+
+const OPERATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>', '**', '//', '/*', '*/', '::', '->'
+];
+
+const MATCH_CODE_TOKEN = new RegExp([
+  '[^\\S\\n]*\\n',
+  '^[^\\S\\n]+',
+  `[^\\S\\n]*(${[
+    '[\\p{L}_$][\\p{L}\\p{N}_$]*',
+    '0[xXbBoO][\\da-fA-F_]+',
+    '\\d[\\d_]*(\\.\\d+)?([eE][+-]?\\d+)?',
+    ...OPERATORS.map(operator => operator.replace(/[.*+?^$|/]/g, '\\$&')),
+    '\\S'
+  ].join('|')})`,
+  '[^\\S\\n]+$'
+].join('|'), 'gmu');
+
+const MATCH_LINE_BREAKS = new RegExp(/\r\n?/g);
+
+/**
+ * Code tokenizer
+ * Splits source code into identifiers, numbers,
+ * operators, symbols, indentation and line
+ * breaks. Nothing is removed, so completions
+ * keep their formatting.
+ */
+
+module.exports = () => {
+  /**
+   * encode
+   * Split source code into tokens.
+   */
+
+  const encode = text => (
+    text
+      .replace(MATCH_LINE_BREAKS, '\n')
+      .match(MATCH_CODE_TOKEN) || []
+  );
+
+  /**
+   * decode
+   * Join tokens into source code.
+   */
+
+  const decode = tokens => tokens.join('');
+
+  return {
+    type: 'code',
+    encode,
+    decode,
+    toJSON: () => ({ type: 'code' })
+  };
+};
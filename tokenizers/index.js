@@ -0,0 +1,50 @@
+const word = require('./word');
+const character = require('./character');
+const bpe = require('./bpe');
+const code = require('./code');
+
+// Built-in tokenizers by type. A tokenizer has
+// `encode(text)` (text to a list of string tokens)
+// and `decode(tokens)` (tokens back to text), and
+// optionally `train(texts)` to learn from training
+// sequences, and `toJSON()` to be saved in model
+// files.
+
+const TOKENIZERS = {
+  word,
+  character,
+  bpe,
+  code
+};
+
+const TOKENIZER_ERROR = `Invalid tokenizer. Expected one of ${Object.keys(TOKENIZERS).join(', ')}, options with one of these as \`type\`, or an object with \`encode\` and \`decode\` methods.`;
+
+/**
+ * createTokenizer
+ * Create a tokenizer by type (e.g. `'bpe'`), or
+ * from options (e.g. `{ type: 'bpe', vocabularySize:
+ * 2000 }`). Custom tokenizers are returned as is.
+ */
+
+const createTokenizer = (tokenizer = 'word') => {
+  if (
+    typeof tokenizer?.encode === 'function' &&
+    typeof tokenizer.decode === 'function'
+  ) {
+    return tokenizer;
+  }
+
+  const { type, ...options } = typeof tokenizer === 'string'
+    ? { type: tokenizer }
+    : tokenizer || {};
+
+  if (!Object.hasOwn(TOKENIZERS, type)) {
+    throw new Error(TOKENIZER_ERROR);
+  }
+
+  return TOKENIZERS[type](options);
+};
+
+module.exports = {
+  createTokenizer
+};
@@ -0,0 +1,59 @@
+// Elisions (l'opéra, d'un, qu'il) are split after
+// the apostrophe so the word is counted on its own
+
+const ELISION = "(qu|jusqu|lorsqu|puisqu|[cdjlmnst])'";
+
+const MATCH_ELISION = new RegExp(`(?<![\\p{L}\\p{M}'])${ELISION}(?=\\p{L})`, 'giu');
+const MATCH_SPLIT_ELISION = new RegExp(`(?<![\\p{L}\\p{M}'])${ELISION} (?=\\p{L})`, 'giu');
+
+// Scripts written without spaces between words
+// are split into words by the `Intl` segmenter
+
+const MATCH_UNSPACED_SCRIPT = new RegExp(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}ー]+/gu);
+
+const wordSegmenter = new Intl.Segmenter(undefined, {
+  granularity: 'word'
+});
+
+/**
+ * Word tokenizer
+ * Splits text into words on spaces, elisions and
+ * word boundaries of scripts written without
+ * spaces. Punctuation stays attached to words.
+ */
+
+module.exports = () => {
+  /**
+   * encode
+   * Split text into word tokens.
+   */
+
+  const encode = text => (
+    text
+      .replace(MATCH_ELISION, "$1' ")
+      .replace(MATCH_UNSPACED_SCRIPT, run => (
+        Array.from(wordSegmenter.segment(run), ({ segment }) => segment)
+          .join(' ')
+      ))
+      .split(/ /)
+      .filter(Boolean)
+  );
+
+  /**
+   * decode
+   * Join word tokens into text.
+   */
+
+  const decode = tokens => (
+    tokens
+      .join(' ')
+      .replace(MATCH_SPLIT_ELISION, "$1'")
+  );
+
+  return {
+    type: 'word',
+    encode,
+    decode,
+    toJSON: () => ({ type: 'word' })
+  };
+};
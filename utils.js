@@ -1,9 +1,26 @@
-const { dirname } = require('path');
-const __root = dirname(require.main.filename);
+const { dirname, isAbsolute, join, relative, resolve, sep } = require('path');
 const fs = require('fs').promises;
 const zlib = require('zlib');
 
+const {
+  getExtensions,
+  loadText
+} = require('./loaders');
+
+// Default root directory: the directory of the main
+// module, or the working directory (e.g. in a REPL)
+
+const __root = require.main?.filename
+  ? dirname(require.main.filename)
+  : process.cwd();
+
+const DOCUMENTS_PATH = 'training/documents';
+const DOCUMENT_EXTENSION = '.txt';
+
 const FORMAT_ERROR = 'Invalid file format.';
+const MISSING_DOCUMENT_ERROR = 'Document not found:';
+const NO_MATCHING_DOCUMENTS_ERROR = 'No documents match:';
+const MATCH_GLOB = new RegExp(/[*?[{]/);
 
 const suffixes = [
   'ack',
@@ -45,6 +62,333 @@ const suffixes = [
   'unk'
 ];
 
+// Escape special characters in a regular expression
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * globToRegExp
+ * Convert a glob pattern (`*`, `**`, `?`, `[...]`
+ * and `{a,b}`) to a regular expression matching
+ * slash-separated relative paths.
+ */
+
+const globToRegExp = pattern => {
+  let expression = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories
+
+      if (pattern[i + 2] === '/') {
+        expression += '(?:.*/)?';
+        i += 2;
+      } else {
+        expression += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      expression += '[^/]*';
+    } else if (char === '?') {
+      expression += '[^/]';
+    } else if (char === '[' && pattern.includes(']', i)) {
+      const end = pattern.indexOf(']', i);
+
+      expression += pattern.slice(i, end + 1).replace('[!', '[^');
+      i = end;
+    } else if (char === '{' && pattern.includes('}', i)) {
+      const end = pattern.indexOf('}', i);
+
+      expression += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+
+      // (including unclosed brackets and braces)
+
+      expression += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${expression}$`);
+};
+
+/**
+ * isFile / isDirectory
+ * Check a path without throwing.
+ */
+
+const isFile = async path => (
+  (await fs.stat(path).catch(() => null))?.isFile() || false
+);
+
+const isDirectory = async path => (
+  (await fs.stat(path).catch(() => null))?.isDirectory() || false
+);
+
+/**
+ * listFiles
+ * List all files in a directory recursively
+ * (sorted, as absolute paths).
+ */
+
+const listFiles = async directory => {
+  const files = [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const path = join(directory, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+
+  return files.sort();
+};
+
+/**
+ * globFiles
+ * List the files under a directory that match
+ * a relative glob pattern.
+ */
+
+const globFiles = async (directory, pattern) => {
+  if (!await isDirectory(directory)) return [];
+
+  const matcher = globToRegExp(pattern.split(sep).join('/'));
+
+  return (await listFiles(directory)).filter(path => (
+    matcher.test(relative(directory, path).split(sep).join('/'))
+  ));
+};
+
+/**
+ * resolvePaths
+ * Resolve a document name, path, directory or
+ * glob pattern to a list of file paths (`expanded`
+ * when it's a directory or pattern). Relative
+ * sources are looked up in `<root>/training/documents`
+ * first (where names have an implied `.txt`
+ * extension), then in `<root>`. Directories
+ * include files with a supported `extension`.
+ */
+
+const resolvePaths = async (source, root, extensions) => {
+  const documentsPath = join(root, DOCUMENTS_PATH);
+
+  // glob patterns (absolute patterns are matched
+  // from their last directory without wildcards)
+
+  if (MATCH_GLOB.test(source)) {
+    const searches = isAbsolute(source)
+      ? [['', source]]
+      : [
+        [documentsPath, `${source}${DOCUMENT_EXTENSION}`],
+        [documentsPath, source],
+        [root, source]
+      ];
+
+    for (const [base, glob] of searches) {
+      const segments = resolve(base || sep, glob).split(sep);
+      const index = segments.findIndex(segment => MATCH_GLOB.test(segment));
+      const directory = segments.slice(0, index).join(sep) || sep;
+      const pattern = segments.slice(index).join(sep);
+      const paths = await globFiles(directory, pattern);
+
+      if (paths.length) {
+        return {
+          paths,
+          expanded: true
+        };
+      }
+    }
+
+    throw new Error(`${NO_MATCHING_DOCUMENTS_ERROR} ${source}`);
+  }
+
+  // names, paths and directories
+
+  const candidates = isAbsolute(source)
+    ? [source]
+    : [
+      join(documentsPath, `${source}${DOCUMENT_EXTENSION}`),
+      join(documentsPath, source),
+      resolve(root, source)
+    ];
+
+  for (const candidate of candidates) {
+    if (await isFile(candidate)) {
+      return {
+        paths: [candidate],
+        expanded: false
+      };
+    }
+
+    if (await isDirectory(candidate)) {
+      return {
+        paths: (await listFiles(candidate)).filter(path => (
+          extensions.some(extension => path.toLowerCase().endsWith(extension))
+        )),
+        expanded: true
+      };
+    }
+  }
+
+  throw new Error(`${MISSING_DOCUMENT_ERROR} ${source} (looked in ${candidates.join(', ')})`);
+};
+
+/**
+ * readStream
+ * Read a readable stream to the end.
+ */
+
+const readStream = async stream => {
+  const chunks = [];
+
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks);
+};
+
+const isStream = source => (
+  typeof source?.pipe === 'function' &&
+  typeof source?.[Symbol.asyncIterator] === 'function'
+);
+
+/**
+ * toBuffer
+ * Read in-memory content (a string, Buffer or
+ * readable stream) as a Buffer.
+ */
+
+const toBuffer = async content => {
+  if (typeof content === 'string') return Buffer.from(content);
+
+  const buffer = isStream(content)
+    ? await readStream(content)
+    : content;
+
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error(FORMAT_ERROR);
+  }
+
+  return buffer;
+};
+
+/**
+ * loadDocuments
+ * Load training documents as `{ name, text }`. A
+ * source can be a document name, an absolute or
+ * relative path, a directory, a glob pattern, a
+ * Buffer, a readable stream, or `{ name, text }`
+ * where `text` is a string, Buffer or stream.
+ * Text is extracted with the loader for the file
+ * extension of the path or name (see `loaders`).
+ * `onDocument(document, index, total)` is called
+ * as each document is read.
+ */
+
+const loadDocuments = async (sources, {
+  root = __root,
+  loaders,
+  loaderOptions,
+  onDocument
+} = {}) => {
+  const pending = [];
+  const documents = [];
+  const extensions = getExtensions(loaders);
+
+  // name the document in loader errors
+
+  const load = async (name, buffer) => {
+    try {
+      return (await loadText(name, buffer, { loaders, loaderOptions })).trim();
+    } catch (error) {
+      throw new Error(`${error.message} (${name})`);
+    }
+  };
+
+  // find every document first, so the total is
+  // known as each one is read
+
+  for (const [index, source] of sources.entries()) {
+    if (typeof source === 'string') {
+      const { paths, expanded } = await resolvePaths(source, root, extensions);
+
+      // documents found in a directory or by a pattern
+      // are named by their path (relative to the root
+      // when the source is relative)
+
+      for (const path of paths) {
+        const name = isAbsolute(source)
+          ? path
+          : relative(root, path);
+
+        pending.push({
+          name: expanded ? name : source,
+          path,
+          read: () => fs.readFile(path)
+        });
+      }
+
+      continue;
+    }
+
+    const isContent = Buffer.isBuffer(source) || isStream(source);
+    const name = (!isContent && source?.name) || `document-${index}`;
+
+    pending.push({
+      name,
+      path: name,
+      read: () => toBuffer(isContent ? source : source?.text)
+    });
+  }
+
+  for (const [index, { name, path, read }] of pending.entries()) {
+    const document = {
+      name,
+      text: await load(path, await read())
+    };
+
+    documents.push(document);
+    onDocument?.(document, index, pending.length);
+  }
+
+  return documents;
+};
+
+// Key positions on a QWERTY keyboard (rows are
+// staggered by half a key). Substituting a letter
+// with a neighboring key is a likely typo, so it
+// costs less in `editDistance`
+
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const NEIGHBOR_KEY_COST = 0.5;
+
+const KEY_POSITIONS = new Map(
+  KEYBOARD_ROWS.flatMap((row, y) => (
+    [...row].map((key, x) => [key, { x: x + y / 2, y }])
+  ))
+);
+
+const isNeighborKey = (a, b) => {
+  const positionA = KEY_POSITIONS.get(a);
+  const positionB = KEY_POSITIONS.get(b);
+
+  return Boolean(
+    positionA &&
+    positionB &&
+    Math.abs(positionA.y - positionB.y) <= 1 &&
+    Math.abs(positionA.x - positionB.x) <= 1
+  );
+};
+
 module.exports = {
   alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789#$%&',
   vowels: 'aeiou',
@@ -55,20 +399,13 @@ module.exports = {
   j: 'j',
   suffixes,
 
-  combineDocuments: async documents => {
-    let text = '';
-
-    for (const document of documents) {
-      const sourceFile = await fs.readFile(
-        `${__root}/training/documents/${document}.txt`
-      );
-
-      if (!sourceFile?.toString) {
-        throw new Error(FORMAT_ERROR);
-      }
+  __root,
+  loadDocuments,
 
-      const source = sourceFile.toString().trim();
+  combineDocuments: async (sources, options) => {
+    let text = '';
 
+    for (const { text: source } of await loadDocuments(sources, options)) {
       text += `\n${source}`;
     }
 
@@ -130,15 +467,85 @@ module.exports = {
      return allPixels;
    },
 
+  /**
+   * createRandom
+   * Create a random number generator. With a seed,
+   * the same sequence of numbers is returned every
+   * time (mulberry32), otherwise `Math.random`.
+   */
+
+  createRandom: seed => {
+    if (seed === undefined) {
+      return Math.random;
+    }
+
+    let state = seed >>> 0;
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+
+      let t = state;
+
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  /**
+   * editDistance
+   * Count the edits (insertions, deletions,
+   * substitutions and transpositions of adjacent
+   * letters) between two words. Substitutions of
+   * neighboring keys count half. Stops early once
+   * the distance exceeds `maxDistance`.
+   */
+
+  editDistance: (a, b, maxDistance = Infinity) => {
+    const source = [...a];
+    const target = [...b];
+
+    let previousRow = null;
+    let row = Array.from({ length: target.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= source.length; i++) {
+      const nextRow = [i];
+
+      for (let j = 1; j <= target.length; j++) {
+        const substitutionCost = source[i - 1] === target[j - 1]
+          ? 0
+          : isNeighborKey(source[i - 1], target[j - 1])
+            ? NEIGHBOR_KEY_COST
+            : 1;
+
+        nextRow[j] = Math.min(
+          row[j] + 1,
+          nextRow[j - 1] + 1,
+          row[j - 1] + substitutionCost
+        );
+
+        if (
+          previousRow &&
+          j > 1 &&
+          source[i - 1] === target[j - 2] &&
+          source[i - 2] === target[j - 1]
+        ) {
+          nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+        }
+      }
+
+      if (Math.min(...nextRow) > maxDistance) return Infinity;
+
+      previousRow = row;
+      row = nextRow;
+    }
+
+    return row[target.length];
+  },
+
   isLowerCase: letter => (
     letter === letter.toLowerCase() &&
     letter !== letter.toUpperCase()
-  ),
-
-  tokenize: input => (
-    input
-      .trim()
-      .replace(/[\p{P}$+<=>^`(\\\n)|~]/gu, ' ')
-      .split(' ')
   )
 };